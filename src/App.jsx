@@ -1,7 +1,24 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import LowPolyRunner from "./LowPolyRunner";
+import { Enemies, Bullets, Weapons, EnemyBullets, Pickups, Effects } from "./Entities";
+import { createWorld } from "./game/world.js";
+import { upgradeByKey, chooseUpgrade } from "./game/upgrades.js";
+import { parseSeed, randomSeed } from "./game/rng.js";
+import { TICK, createClock, consumeTicks, lerpPos } from "./game/clock.js";
+import { createGameStore } from "./game/store.js";
+import HighScoreTable from "./HighScores";
+import { loadHighScores, addHighScore, qualifies, lastPlayerName } from "./storage/highscores.js";
+import { saveRun, loadRun, hasSavedRun, clearRun } from "./storage/savegame.js";
+import RunReport from "./RunReport";
+import { runReport } from "./game/stats.js";
+import { createRecording, recordChoice, parseReplay, createReplayPlayer, stepReplay, seekReplay } from "./game/replay.js";
+import ReplayControls from "./ReplayControls";
+import BossBar from "./BossBar";
+import { loadSettings, saveSettings } from "./storage/settings.js";
+import { weaponList, cycleWeapon } from "./game/weapons.js";
+import WeaponBar from "./WeaponBar";
 
 function Btn({ children, onClick, variant = "secondary", className = "" }) {
   const v = typeof variant === "string" ? variant : "secondary";
@@ -33,10 +50,6 @@ function Panel({ children, className = "" }) {
   return <div className={`bg-slate-900/80 border border-white/10 rounded-2xl ${className}`}>{children}</div>;
 }
 
-const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-const vec3 = (x = 0, y = 0, z = 0) => new THREE.Vector3(x, y, z);
-const rnd = (a, b) => Math.random() * (b - a) + a;
-
 function useKeyboard() {
   const keys = useRef({});
   useEffect(() => {
@@ -58,29 +71,69 @@ function useKeyboard() {
   return keys;
 }
 
-function useGameState() {
-  const [state, set] = useState(() => ({
-    playing: false,
-    paused: false,
-    gameOver: false,
-    wave: 1,
-    time: 0,
-    score: 0,
-    level: 1,
-    xp: 0,
-    player: { pos: vec3(0, 1, 0), velY: 0, speed: 10, dashCooldown: 0, maxHp: 100, hp: 100, magnet: 1, damage: 10, firerate: 7, bulletSpeed: 35, pierce: 0 },
-    enemies: [],
-    bullets: [],
-    eBullets: [],
-    pickups: [],
-    nextId: 1,
-    lastShot: 0,
-    difficulty: 2,
-    bossActive: false,
-    bossDefeatedAtWave: 0,
-    hitFlash: 0,
-  }));
-  return [state, set];
+// world vivo nello store, a React arriva solo lo snapshot HUD (throttled)
+function useGameStore() {
+  const store = useMemo(() => createGameStore({ ...createWorld(), playing: false }), []);
+  const hud = useSyncExternalStore(store.subscribe, store.getHud);
+  return [hud, store];
+}
+
+// listener sul bus eventi della simulazione (store.events); fn può cambiare a ogni render
+function useGameEvent(store, type, fn) {
+  const fnRef = useRef(fn);
+  fnRef.current = fn;
+  useEffect(() => store.events.on(type, (ev) => fnRef.current(ev)), [store, type]);
+}
+
+// snapshot di input per stepWorld a partire da tastiera/mouse; il cambio arma lo aggiunge il game loop (takeWeaponSwitch)
+function readInput(keys, locked) {
+  const k = keys.current;
+  return {
+    move: { x: (k["KeyD"] ? 1 : 0) - (k["KeyA"] ? 1 : 0), z: (k["KeyS"] ? 1 : 0) - (k["KeyW"] ? 1 : 0) },
+    yaw: LOOK.yaw,
+    pitch: LOOK.pitch,
+    fire: locked && !!k["MouseLeft"],
+    dash: !!k["ShiftLeft"],
+    jump: !!k["Space"],
+    weapon: null,
+  };
+}
+
+/* ----------- Cambio arma (tasti numerici, rotella) ----------- */
+// richiesta in coda fino al primo tick eseguito, che la consuma; accettata solo durante una run in corso
+// e svuotata a ogni nuova run (non finisce nella registrazione della run successiva)
+const WEAPON_SWITCH = { key: null, step: 0 };
+const liveRun = (store) => !store.replay && store.world.playing && !store.world.paused && !store.world.gameOver;
+function takeWeaponSwitch(current) {
+  const key = WEAPON_SWITCH.key ?? (WEAPON_SWITCH.step ? cycleWeapon(current, WEAPON_SWITCH.step) : null);
+  WEAPON_SWITCH.key = null;
+  WEAPON_SWITCH.step = 0;
+  return key;
+}
+function WeaponInput({ store }) {
+  const { gl } = useThree();
+  useEffect(() => {
+    const el = gl?.domElement;
+    const doc = el?.ownerDocument || document;
+    if (!el || !doc) return;
+    const onKey = (e) => {
+      if (e.target?.tagName === "INPUT") return; // cifre scritte nel seed o nel nome dell'high score
+      const m = /^Digit(\d)$/.exec(e?.code || "");
+      const w = m && weaponList().find((x) => x.slot === Number(m[1]));
+      if (w && liveRun(store)) WEAPON_SWITCH.key = w.key;
+    };
+    const onWheel = (e) => {
+      if (doc.pointerLockElement !== el || !e?.deltaY || !liveRun(store)) return;
+      WEAPON_SWITCH.step += Math.sign(e.deltaY);
+    };
+    window.addEventListener("keydown", onKey);
+    doc.addEventListener("wheel", onWheel);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      doc.removeEventListener("wheel", onWheel);
+    };
+  }, [gl, store]);
+  return null;
 }
 
 /* ----------- Look input ----------- */
@@ -152,411 +205,194 @@ function Arena() {
 /* ----------- Player con modello ----------- */
 const MODEL_SCALE = 0.7; // regola la dimensione del personaggio
 
-function Player({ state, krefs }) {
+function Player({ store, speed }) {
   const ref = useRef();
   const t = useRef(0);
 
   useFrame((_, dt) => {
     t.current += dt;
     if (!ref.current) return;
-    ref.current.position.copy(state.player.pos);
-    ref.current.position.y = state.player.pos.y - MODEL_SCALE;
-    if (Math.abs(state.player.velY) < 0.01) {
+    const player = store.world.player;
+    lerpPos(ref.current.position, player, store.alpha);
+    ref.current.position.y -= MODEL_SCALE;
+    if (Math.abs(player.velY) < 0.01) {
       ref.current.position.y += Math.sin(t.current * 2) * 0.05;
     }
   });
 
   // animMult scala la frequenza degli step con le stats (speed 10 => 1.0)
-  const animMult = Math.max(0.8, state.player.speed / 10);
+  const animMult = Math.max(0.8, speed / 10);
 
   return (
     <group ref={ref} castShadow>
       <LowPolyRunner
         scale={MODEL_SCALE}
         animMult={animMult}
-        getSpeed={() => krefs?.speedRef?.current ?? 0}
-        getMoveDir={() => (krefs?.moveDirRef?.current ?? new THREE.Vector3(0,0,1))}
+        getSpeed={() => store.world.player.moveSpeed}
+        getMoveDir={() => store.world.player.moveDir}
       />
     </group>
   );
 }
 
-/* ----------- Enemies / Bullets / Pickups (invariati) ----------- */
-function Enemies({ state }) {
-  return (
-    <group>
-      {state.enemies.map((e) => (
-        <group key={e.id} position={[e.pos.x, e.pos.y, e.pos.z]}>
-          <mesh castShadow>
-            {e.isBoss ? <icosahedronGeometry args={[e.radius, 1]} /> : <dodecahedronGeometry args={[e.radius, 0]} />}
-            <meshStandardMaterial
-              color={e.isBoss ? "#ffd166" : "#ff4060"}
-              emissive={e.isBoss ? "#ffb703" : "#ff3b3b"}
-              emissiveIntensity={e.isBoss ? 1.2 : 0.8}
-              metalness={0.25}
-              roughness={0.3}
-            />
-          </mesh>
-          {/* HP bar */}
-          <mesh position={[0, e.radius + (e.isBoss ? 0.6 : 0.3), 0]}>
-            <boxGeometry args={[1.8, 0.06, 0.06]} />
-            <meshBasicMaterial color="#111" />
-          </mesh>
-          <mesh
-            position={[
-              -1.8/2 + ((Math.max(0, (e.hp / (e.maxHp || 1))) * 1.8) / 2),
-              e.radius + (e.isBoss ? 0.6 : 0.3),
-              0
-            ]}
-          >
-            <boxGeometry args={[Math.max(0.05, (e.hp / (e.maxHp || 1))) * 1.8, 0.06, 0.06]} />
-            <meshBasicMaterial color={e.isBoss ? "#ffd166" : "#6eff86"} />
-          </mesh>
-        </group>
-      ))}
-    </group>
-  );
-}
-function Bullets({ state }) {
-  return (
-    <group>
-      {state.bullets.map((b) => (
-        <mesh key={b.id} position={[b.pos.x, b.pos.y, b.pos.z]}>
-          <sphereGeometry args={[0.12, 12, 12]} />
-          <meshBasicMaterial color="#00ffe6" />
-        </mesh>
-      ))}
-    </group>
-  );
-}
-function EnemyBullets({ state }) {
-  return (
-    <group>
-      {state.eBullets.map((b) => (
-        <mesh key={b.id} position={[b.pos.x, b.pos.y, b.pos.z]}>
-          <sphereGeometry args={[0.14, 14, 14]} />
-          <meshStandardMaterial color="#ffd166" emissive="#ffb703" emissiveIntensity={0.9} />
-        </mesh>
-      ))}
-    </group>
-  );
-}
-function Pickups({ state }) {
-  return (
-    <group>
-      {state.pickups.map((p) => (
-        <group key={p.id} position={[p.pos.x, p.pos.y, p.pos.z]}>
-          <mesh>
-            <icosahedronGeometry args={[0.25, 0]} />
-            <meshStandardMaterial color={p.type === "xp" ? "#66ff99" : p.type === "heart" ? "#ff6fa0" : "#6f9bff"} />
-          </mesh>
-        </group>
-      ))}
-    </group>
-  );
-}
-
-const ALL_UPGRADES = [
-  { key: "damage", name: "+Damage", desc: "+25% bullet damage", apply: (s) => ({ ...s, player: { ...s.player, damage: s.player.damage * 1.25 } }) },
-  { key: "firerate", name: "+Firerate", desc: "-15% fire interval", apply: (s) => ({ ...s, player: { ...s.player, firerate: s.player.firerate * 1.15 } }) },
-  { key: "speed", name: "+Move Speed", desc: "+15% move speed", apply: (s) => ({ ...s, player: { ...s.player, speed: s.player.speed * 1.15 } }) },
-  { key: "maxhp", name: "+Max HP", desc: "+20% max HP and heal 20%", apply: (s) => ({ ...s, player: { ...s.player, maxHp: Math.round(s.player.maxHp * 1.2), hp: Math.min(Math.round(s.player.maxHp * 1.2), Math.round(s.player.hp + s.player.maxHp * 0.2)) } }) },
-  { key: "bullet", name: "+Bullet Speed", desc: "+20% bullet speed", apply: (s) => ({ ...s, player: { ...s.player, bulletSpeed: s.player.bulletSpeed * 1.2 } }) },
-  { key: "magnet", name: "Magnet", desc: "+30% pickup radius", apply: (s) => ({ ...s, player: { ...s.player, magnet: s.player.magnet * 1.3 } }) },
-  { key: "pierce", name: "Pierce", desc: "+1 bullet pierce", apply: (s) => ({ ...s, player: { ...s.player, pierce: s.player.pierce + 1 } }) },
-];
-
-function pickThree() {
-  const pool = [...ALL_UPGRADES];
-  const res = [];
-  for (let i = 0; i < 3; i++) res.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
-  return res;
-}
-
 /* ------------------------------ Game Loop ------------------------------ */
-function GameLoop({ gs, krefs }) {
-  const [state, set] = gs;
+// hit-stop: la simulazione si ferma per qualche frame sui colpi (al massimo uno ogni HIT_STOP.gap s) e sull'uccisione dei boss
+const HIT_STOP = { hit: 0.045, kill: 0.25, gap: 0.3 };
+
+function GameLoop({ store, playing, hitStop }) {
   const { camera, gl } = useThree();
   const keys = useKeyboard();
-  const tmp = useMemo(() => ({ v: vec3(), dir: vec3() }), []);
+  const clockRef = useRef(createClock());
+  const stopRef = useRef({ left: 0, since: Infinity });
+
+  useEffect(() => {
+    if (!hitStop) return;
+    const stop = stopRef.current;
+    // solo nella run live: durante un replay stop.left non scorrerebbe e la run successiva partirebbe ferma
+    const offHit = store.events.on("enemyHit", (ev) => {
+      if (store.replay || !ev.boss || stop.since < HIT_STOP.gap) return;
+      stop.left = Math.max(stop.left, HIT_STOP.hit);
+      stop.since = 0;
+    });
+    const offKill = store.events.on("enemyKilled", (ev) => { if (ev.boss && !store.replay) stop.left = HIT_STOP.kill; });
+    return () => { offHit(); offKill(); stop.left = 0; };
+  }, [store, hitStop]);
 
   useEffect(() => {
     camera.position.set(0, 1.4, 6);
     camera.lookAt(0, 1, 0);
-  }, [state.playing, camera]);
+  }, [playing, camera]);
 
   useFrame((_, dtx) => {
-    const dt = Math.min(0.05, dtx);
-    set((prev) => {
-      if (!prev.playing || prev.paused || prev.gameOver) return prev;
-      const s = {
-        ...prev,
-        player: { ...prev.player, pos: prev.player.pos.clone(), velY: prev.player.velY, dashCooldown: Math.max(0, prev.player.dashCooldown - dt) },
-        enemies: prev.enemies.map((e) => ({ ...e, pos: e.pos.clone() })),
-        bullets: prev.bullets.map((b) => ({ ...b, pos: b.pos.clone() })),
-        eBullets: prev.eBullets.map((b) => ({ ...b, pos: b.pos.clone() })),
-        pickups: prev.pickups.map((p) => ({ ...p, pos: p.pos.clone() })),
-        time: prev.time + dt,
-        hitFlash: Math.max(0, prev.hitFlash - 2 * dt),
-      };
-
-      // Movimento
-      const move = vec3();
-      if (keys.current["KeyW"]) move.z -= 1;
-      if (keys.current["KeyS"]) move.z += 1;
-      if (keys.current["KeyA"]) move.x -= 1;
-      if (keys.current["KeyD"]) move.x += 1;
-      if (move.lengthSq() > 0) move.normalize();
-      const yawOnly = new THREE.Euler(0, LOOK.yaw, 0, "YXZ");
-      const worldDir = tmp.dir.copy(move).applyEuler(yawOnly);
-      worldDir.y = 0; worldDir.normalize();
-
-      const willDash = keys.current["ShiftLeft"] && s.player.dashCooldown === 0;
-      const speed = s.player.speed * (willDash ? 1.8 : 1);
-
-      // ref per animazione avatar (velocità e direzione)
-      if (krefs?.moveDirRef) krefs.moveDirRef.current.copy(worldDir);
-      if (krefs?.speedRef)   krefs.speedRef.current = move.lengthSq() > 0 ? speed : 0;
-
-      if (willDash) s.player.dashCooldown = 1.0;
-
-      const nextPos = tmp.v.copy(s.player.pos).addScaledVector(worldDir, speed * dt);
-      const arenaR = 35; if (nextPos.length() > arenaR - 1) nextPos.setLength(arenaR - 1);
-      s.player.pos.x = nextPos.x;
-      s.player.pos.z = nextPos.z;
-
-      // Salto + gravità
-      const groundY = 1;
-      const g = 18;
-      const jumpSpeed = 7;
-      const onGround = s.player.pos.y <= groundY + 1e-3 && s.player.velY === 0;
-      if (keys.current["Space"] && onGround) s.player.velY = jumpSpeed;
-      s.player.velY -= g * dt;
-      s.player.pos.y += s.player.velY * dt;
-      if (s.player.pos.y < groundY) { s.player.pos.y = groundY; s.player.velY = 0; }
-
-      // Camera follow
-      {
-        const camRot  = new THREE.Euler(LOOK.pitch, LOOK.yaw, 0, "YXZ");
-        const camQuat = new THREE.Quaternion().setFromEuler(camRot);
-        const target  = s.player.pos.clone().add(new THREE.Vector3(0, 0.4, 0));
-        const offset  = new THREE.Vector3(0, 0.4, 6).applyQuaternion(camQuat);
-        const desired = target.clone().add(offset);
-        camera.position.lerp(desired, 0.12);
-        camera.quaternion.slerp(camQuat, 0.18);
-      }
-
-      // Boss spawn
-      const bossWave  = s.wave % 5 === 0;
-      const bossAlive = s.enemies.some((e) => e.isBoss);
-      if (bossWave && !s.bossActive && s.bossDefeatedAtWave !== s.wave && !bossAlive) {
-        s.enemies = [];
-        const tier = Math.max(1, Math.floor(s.wave / 5));
-        const baseHp = 260 + 150 * tier;
-        const hp = Math.round(baseHp * (1 + 0.25 * s.difficulty));
-        const speedB = 2.6 + 0.12 * s.wave + 0.25 * s.difficulty;
-        const radius = 2.2 + 0.05 * s.wave;
-        const pos = vec3(rnd(-18, 18), 1, rnd(-18, 18));
-        s.enemies.push({ id: s.nextId++, pos, hp, maxHp: hp, radius, speed: speedB, isBoss: true, velY: 0, jumpCooldown: rnd(1.2, 2.0), leapTime: 0, leapDir: vec3(), shootCooldown: rnd(0.5, 1.0) });
-        s.bossActive = true;
+    const w = store.world;
+    const clock = clockRef.current;
+    const rp = store.replay;
+    let look = null;
+    // hit-stop solo dentro una run in corso: replay, menu e pause non lo lasciano in sospeso per la run successiva
+    if (rp || !w.playing || w.paused || w.gameOver) stopRef.current.left = 0;
+    if (rp) {
+      // replay: input registrati al posto di tastiera/mouse, alla velocità scelta
+      if (rp.playing) {
+        for (let i = consumeTicks(clock, dtx * rp.speed); i > 0; i--) {
+          if (!stepReplay(rp)) { rp.playing = false; break; }
+          store.events.dispatch(rp.world.events);
+        }
       }
-
-      // Shooting (player)
-      const now = (typeof performance !== "undefined" ? performance.now() : Date.now()) / 1000;
-      const interval = 1 / s.player.firerate;
+      store.world = rp.world;
+      store.alpha = rp.playing ? clock.alpha : 1;
+      look = rp.input;
+    } else if (w.playing && !w.paused && !w.gameOver) {
       const isLocked = gl?.domElement?.ownerDocument?.pointerLockElement === gl?.domElement;
-      const wantShoot = isLocked && keys.current["MouseLeft"];
-      if (wantShoot && now - s.lastShot >= interval) {
-        const camRot  = new THREE.Euler(LOOK.pitch, LOOK.yaw, 0, "YXZ");
-        const camQuat = new THREE.Quaternion().setFromEuler(camRot);
-        const fwd = new THREE.Vector3(0, 0, -1).applyQuaternion(camQuat).normalize();
-        const pos = s.player.pos.clone().addScaledVector(fwd, 1.0).add(vec3(0, 0.1, 0));
-        const vel = fwd.multiplyScalar(s.player.bulletSpeed);
-        s.bullets.push({ id: s.nextId++, pos, vel, life: 1.8, pierceLeft: s.player.pierce, damage: s.player.damage });
-        s.lastShot = now;
-      }
-
-      // Bullets step
-      s.bullets = s.bullets.map((b) => ({ ...b, pos: b.pos.clone().addScaledVector(b.vel, dt), life: b.life - dt })).filter((b) => b.life > 0 && b.pos.length() < 60);
-
-      // Spawn normali
-      if (!bossWave || !s.bossActive) {
-        const spawnRate = 1.2;
-        const spawnChance = dt / (spawnRate / (1 + (s.wave - 1) * 0.15));
-        if (Math.random() < spawnChance && s.enemies.filter((e)=>!e.isBoss).length < 45) {
-          const ang = rnd(0, Math.PI * 2);
-          const r = 33;
-          const pos = vec3(Math.cos(ang) * r, 1, Math.sin(ang) * r);
-          const hp = Math.round(18 + (s.wave - 1) * 6 * (0.7 + 0.3 * s.difficulty));
-          const speedE = 3 + (s.wave - 1) * 0.2 + s.difficulty * 0.3;
-          s.enemies.push({ id: s.nextId++, pos, hp, maxHp: hp, radius: 0.9, speed: speedE, isBoss: false });
-        }
+      const input = readInput(keys, isLocked);
+
+      // passo fisso: stessa fisica a 30, 60 o 144 Hz; durante l'hit-stop il tempo di gioco non scorre
+      const stop = stopRef.current;
+      stop.since += dtx;
+      if (stop.left > 0) stop.left -= dtx;
+      else for (let i = consumeTicks(clock, dtx); i > 0; i--) {
+        // nei frame senza tick (refresh alto, hit-stop) il cambio arma resta in coda
+        input.weapon = takeWeaponSwitch(store.world.player.weapon);
+        store.step(input, TICK);
       }
+      store.alpha = clock.alpha;
+      look = LOOK;
+    }
 
-      // Enemies + boss abilità
-      for (const e of s.enemies) {
-        const toP = s.player.pos.clone().sub(e.pos); toP.y = 0;
-        if (toP.lengthSq() > 0) toP.normalize();
-        e.pos.addScaledVector(toP, e.speed * dt);
-
-        if (e.isBoss) {
-          e.jumpCooldown -= dt;
-          const ground = 1, gBoss = 22;
-          if (e.jumpCooldown <= 0 && e.pos.distanceTo(s.player.pos) < 24) {
-            e.velY = 7.8 + 0.2 * s.wave;
-            e.leapDir = toP.clone();
-            e.leapTime = 0.55 + Math.min(0.4, 0.02 * s.wave);
-            e.jumpCooldown = rnd(1.3, 2.5);
-          }
-          if (e.leapTime > 0) {
-            const leapSpeed = 6.5 + 0.22 * s.wave + 0.7 * s.difficulty;
-            e.pos.addScaledVector(e.leapDir, leapSpeed * dt);
-            e.leapTime -= dt;
-          }
-          e.velY -= gBoss * dt;
-          e.pos.y += e.velY * dt;
-          if (e.pos.y < ground) { e.pos.y = ground; e.velY = 0; }
-          e.shootCooldown -= dt;
-          if (e.shootCooldown <= 0) {
-            const dir = s.player.pos.clone().sub(e.pos).normalize();
-            const speed = 7 + 0.65 * s.wave + 0.75 * s.difficulty;
-            const posB = e.pos.clone().add(dir.clone().multiplyScalar(e.radius + 0.4));
-            const velB = dir.multiplyScalar(speed);
-            s.eBullets.push({ id: s.nextId++, pos: posB, vel: velB, life: 3.5, damage: 18 + 4 * s.difficulty });
-            const base = 1.7;
-            e.shootCooldown = Math.max(0.4, base / (1 + 0.08 * s.wave + 0.25 * s.difficulty));
-          }
-        }
-      }
+    // Camera follow (sulla posizione interpolata)
+    if (look) {
+      const camRot  = new THREE.Euler(look.pitch, look.yaw, 0, "YXZ");
+      const camQuat = new THREE.Quaternion().setFromEuler(camRot);
+      const target  = lerpPos(new THREE.Vector3(), store.world.player, store.alpha).add(new THREE.Vector3(0, 0.4, 0));
+      const offset  = new THREE.Vector3(0, 0.4, 6).applyQuaternion(camQuat);
+      const desired = target.clone().add(offset);
+      const k = Math.min(6, dtx * 60); // smoothing indipendente dal refresh (tarato a 60 Hz)
+      camera.position.lerp(desired, 1 - Math.pow(1 - 0.12, k));
+      camera.quaternion.slerp(camQuat, 1 - Math.pow(1 - 0.18, k));
+    }
+    store.frame(dtx);
+  });
 
-      // Collisioni player bullets
-      let scoreAdd = 0, xpAdd = 0;
-      for (const b of s.bullets) {
-        for (const e of s.enemies) {
-          if (e.hp <= 0) continue;
-          if (b.pos.distanceTo(e.pos) < e.radius + 0.2) {
-            e.hp -= b.damage;
-            if (b.pierceLeft <= 0) b.life = -1; else b.pierceLeft -= 1;
-            if (e.hp <= 0) { scoreAdd += e.isBoss ? 200 : 15; xpAdd += e.isBoss ? 5 : 1; }
-          }
-        }
-      }
-      s.bullets = s.bullets.filter((b) => b.life > 0);
-
-      // Enemy bullets + hit
-      s.eBullets = s.eBullets.map((b) => ({ ...b, pos: b.pos.clone().addScaledVector(b.vel, dt), life: b.life - dt })).filter((b) => b.life > 0 && b.pos.length() < 70);
-      let hpLoss = 0;
-      for (const b of s.eBullets) if (b.pos.distanceTo(s.player.pos) < 0.7) { hpLoss += b.damage; b.life = -1; }
-      s.eBullets = s.eBullets.filter((b) => b.life > 0);
-
-      // Morti -> drop
-      for (let i = s.enemies.length - 1; i >= 0; i--) {
-        const e = s.enemies[i];
-        if (e.hp <= 0) {
-          const roll = Math.random();
-          if (roll < (e.isBoss ? 1.0 : 0.6)) {
-            const type = e.isBoss ? (roll < 0.4 ? "heart" : roll < 0.7 ? "shield" : "xp")
-                                  : (roll < 0.1 ? "heart" : roll < 0.18 ? "shield" : "xp");
-            s.pickups.push({ id: s.nextId++, pos: e.pos.clone(), ttl: e.isBoss ? 18 : 10, type });
-          }
-          if (e.isBoss) { s.bossActive = false; s.bossDefeatedAtWave = s.wave; }
-          s.enemies.splice(i, 1);
-        }
-      }
+  return null;
+}
 
-      // Danni da contatto
-      for (const e of s.enemies) {
-        const dmg = (e.isBoss ? 25 : 10) * s.difficulty * dt;
-        if (e.pos.distanceTo(s.player.pos) < e.radius + 0.8) hpLoss += dmg;
-      }
-      if (hpLoss > 0) s.hitFlash = 1;
-      const newHp = clamp(s.player.hp - hpLoss, 0, s.player.maxHp);
-      const over = newHp <= 0;
-
-      // Pickups
-      for (let i = s.pickups.length - 1; i >= 0; i--) {
-        const p = s.pickups[i];
-        p.ttl -= dt;
-        if (p.ttl <= 0) { s.pickups.splice(i, 1); continue; }
-        const d0 = p.pos.distanceTo(s.player.pos);
-        if (d0 < 2.5 * s.player.magnet) {
-          const dirP = s.player.pos.clone().sub(p.pos); dirP.y = 0; dirP.normalize();
-          p.pos.addScaledVector(dirP, (10 + 6 * s.player.magnet) * dt);
-        }
-        const d1 = p.pos.distanceTo(s.player.pos);
-        if (d1 < 1.0) {
-          if (p.type === "xp") xpAdd += 1;
-          if (p.type === "heart") s.player.hp = clamp(s.player.hp + 15, 0, s.player.maxHp);
-          if (p.type === "shield") s.player.hp = clamp(s.player.hp + 8, 0, s.player.maxHp);
-          s.pickups.splice(i, 1);
-        }
-      }
+function downloadJson(filename, data) {
+  try {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  } catch {}
+}
 
-      // Level & wave
-      let lvlUp = false;
-      let newXp = s.xp + xpAdd;
-      const need = 10 + (s.level - 1) * 6;
-      if (newXp >= need) { newXp -= need; lvlUp = true; }
-      let newWave = s.wave;
-      if (s.time > 25 + s.wave * 18) newWave += 1;
-
-      return {
-        ...s,
-        wave: newWave,
-        bullets: s.bullets,
-        eBullets: s.eBullets,
-        enemies: s.enemies,
-        pickups: s.pickups,
-        score: s.score + scoreAdd,
-        xp: newXp,
-        level: s.level + (lvlUp ? 1 : 0),
-        player: { ...s.player, hp: newHp, pos: s.player.pos, velY: s.player.velY },
-        gameOver: over,
-      };
-    });
-  });
+// la pausa del level up si chiude solo scegliendo un upgrade
+const togglePause = (s) => (s.upgradeChoices.length > 0 ? s : { ...s, paused: !s.paused });
 
-  return null;
+// play/pausa del replay; a registrazione finita riparte dall'inizio
+function toggleReplay(store) {
+  const rp = store.replay;
+  if (rp.tick >= rp.rec.ticks) seekReplay(rp, 0);
+  rp.playing = !rp.playing;
+  store.world = rp.world;
+  store.publish();
 }
 
 /* ---------------------------------- App ---------------------------------- */
 export default function App() {
-  const gs = useGameState();
-  const [state, set] = gs;
-  const [levelChoices, setLevelChoices] = useState([]);
+  const [hud, store] = useGameStore();
   const [showHelp, setShowHelp] = useState(true);
+  const [settings, setSettings] = useState(loadSettings);
+  const [seedInput, setSeedInput] = useState("");
   const [canvasEl, setCanvasEl] = useState(null);
+  const [scores, setScores] = useState(loadHighScores);
+  const [lastScoreId, setLastScoreId] = useState(null);
+  const [scoreSaved, setScoreSaved] = useState(false);
+  const [nameInput, setNameInput] = useState(lastPlayerName);
+  const [hasSave, setHasSave] = useState(hasSavedRun);
+  const [banner, setBanner] = useState(null);
+  const [replayError, setReplayError] = useState("");
+  const replaying = !!hud.replay;
+
+  // preferenze del client (settings.js), salvate subito
+  const toggleSetting = (key) => setSettings((cur) => {
+    const next = { ...cur, [key]: !cur[key] };
+    saveSettings(next);
+    return next;
+  });
 
-  // ref per animazione avatar
-  const moveDirRef = useRef(new THREE.Vector3());
-  const speedRef   = useRef(0);
-
-  // level up overlay
-  const prevLevel = useRef(state.level);
+  // annuncio della nuova wave
+  useGameEvent(store, "waveChanged", (ev) => setBanner({ text: `Wave ${ev.wave}`, at: ev.time }));
+  useGameEvent(store, "bossSpawned", (ev) => setBanner({ text: ev.name, sub: `Boss • Wave ${ev.wave}`, boss: true, at: ev.time }));
+  useGameEvent(store, "bossPhase", (ev) => setBanner({ text: `Boss phase ${ev.phase + 1}`, at: ev.time }));
   useEffect(() => {
-    if (state.level > prevLevel.current) {
-      prevLevel.current = state.level;
-      setLevelChoices(pickThree());
-      set((s) => ({ ...s, paused: true }));
-    }
-  }, [state.level, set]);
+    if (!banner) return;
+    const t = setTimeout(() => setBanner(null), banner.boss ? 2600 : 1600);
+    return () => clearTimeout(t);
+  }, [banner]);
+
+  // level up overlay (le scelte arrivano dalla simulazione)
+  const levelChoices = hud.upgradeChoices.map(upgradeByKey).filter(Boolean);
 
   // P per pausa
   useEffect(() => {
-    const onKey = (e) => { if (e?.code === "KeyP") set((s) => ({ ...s, paused: !s.paused })); };
+    const onKey = (e) => {
+      if (e?.code !== "KeyP" || e.target?.tagName === "INPUT") return;
+      if (store.replay) toggleReplay(store); else store.update(togglePause);
+    };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [set]);
+  }, [store]);
 
   // pointer lock management
   useEffect(() => {
     const el = canvasEl;
     const doc = el?.ownerDocument || document;
-    const overlayOpen = showHelp || state.gameOver || (state.paused && levelChoices.length > 0);
+    const overlayOpen = showHelp || replaying || hud.gameOver || (hud.playing && hud.paused);
     try {
       if (overlayOpen && doc.pointerLockElement === el && doc.exitPointerLock) doc.exitPointerLock();
     } catch {}
-  }, [showHelp, state.gameOver, state.paused, levelChoices.length, canvasEl]);
+  }, [showHelp, replaying, hud.gameOver, hud.playing, hud.paused, canvasEl]);
 
   const requestLock = () => {
     try {
@@ -566,20 +402,80 @@ export default function App() {
     } catch {}
   };
 
-  const start = () => {
-    set({
-      playing: true, paused: false, gameOver: false, wave: 1, time: 0, score: 0, level: 1, xp: 0,
-      lastShot: 0, difficulty: state.difficulty,
-      player: { pos: vec3(0, 1, 0), velY: 0, speed: 10, dashCooldown: 0, maxHp: 100, hp: 100, magnet: 1, damage: 10, firerate: 7, bulletSpeed: 35, pierce: 0 },
-      enemies: [], bullets: [], eBullets: [], pickups: [], nextId: 1, bossActive: false, bossDefeatedAtWave: 0, hitFlash: 0,
-    });
+  // seed vuoto => casuale; lo stesso seed riproduce la stessa run
+  const startWithSeed = (seed) => {
+    const w = createWorld({ difficulty: hud.difficulty, flanking: hud.flanking, seed });
+    store.replay = null;
+    store.recording = createRecording(w);
+    Object.assign(WEAPON_SWITCH, { key: null, step: 0 });
+    store.replace(w);
+    setScoreSaved(false);
     setShowHelp(false);
     requestLock();
   };
+  const start = () => startWithSeed(seedInput.trim() ? parseSeed(seedInput) : randomSeed());
+
+  // classifica: la run finita entra con il nome scelto nel pannello Game Over
+  const canSaveScore = hud.gameOver && !scoreSaved && qualifies(scores, hud.difficulty, hud.score);
+  const saveScore = () => {
+    const w = store.world;
+    const { table, id } = addHighScore(w.difficulty, { name: nameInput.trim(), score: w.score, wave: w.wave, level: w.level, time: w.time, seed: w.seed });
+    setScores(table);
+    setLastScoreId(id);
+    setScoreSaved(true);
+  };
 
-  const overlayOpen = showHelp || state.gameOver || (state.paused && levelChoices.length > 0);
-  const on3DClick = () => { if (!overlayOpen) requestLock(); };
-  const hpPct = Math.round((state.player.hp / state.player.maxHp) * 100);
+  // salvataggio: un solo slot, consumato da "Continue"
+  const saveAndQuit = () => {
+    if (saveRun(store.world, store.recording)) setHasSave(true);
+    store.recording = null;
+    store.replace({ ...createWorld({ difficulty: store.world.difficulty, flanking: store.world.flanking }), playing: false });
+    setShowHelp(true);
+  };
+  const continueRun = () => {
+    const saved = loadRun();
+    clearRun();
+    setHasSave(false);
+    if (!saved) return;
+    store.replay = null;
+    store.recording = saved.replay; // null: run salvata senza registrazione, niente replay
+    store.replace({ ...saved.world, playing: true, paused: false });
+    setScoreSaved(false);
+    setShowHelp(false);
+    requestLock();
+  };
+
+  // report statistiche della run finita
+  const report = useMemo(() => (hud.gameOver ? runReport(store.world) : null), [hud.gameOver, store]);
+  const copyReport = () => { try { navigator.clipboard?.writeText(JSON.stringify(report, null, 2)); } catch {} };
+
+  // replay: la run appena finita (store.recording) o un file importato
+  const watchReplay = (rec) => {
+    store.replay = createReplayPlayer(rec);
+    store.replace(store.replay.world);
+    setReplayError("");
+    setShowHelp(false);
+  };
+  const exitReplay = () => {
+    store.replay = null;
+    store.replace({ ...createWorld({ difficulty: hud.difficulty, flanking: hud.flanking }), playing: false });
+    setShowHelp(true);
+  };
+  const setReplaySpeed = (speed) => { store.replay.speed = speed; store.publish(); };
+  const seekReplayTo = (tick) => {
+    store.world = seekReplay(store.replay, tick).world;
+    store.alpha = 1;
+    store.publish();
+  };
+  const downloadReplay = (rec) => downloadJson(`neon-runner-replay-${rec.seed}.json`, rec);
+  const importReplay = async (file) => {
+    if (!file) return;
+    try { watchReplay(parseReplay(await file.text())); } catch (err) { setReplayError(err?.message || "Invalid replay file"); }
+  };
+
+  const overlayOpen = showHelp || (!replaying && (hud.gameOver || (hud.playing && hud.paused)));
+  const on3DClick = () => { if (!overlayOpen && !replaying) requestLock(); };
+  const hpPct = Math.round((hud.hp / hud.maxHp) * 100);
 
   return (
     <div style={{ height: "100vh", display: "flex", flexDirection: "column", position: "relative", background: "radial-gradient(ellipse at center, #0f172a 0%, #020617 60%, #000 100%)", color: "#e2e8f0" }}>
@@ -587,11 +483,13 @@ export default function App() {
       <div style={{ position: "relative", zIndex: 2, display: "flex", alignItems: "center", justifyContent: "space-between", padding: "8px 16px", borderBottom: "1px solid rgba(255,255,255,.1)" }}>
         <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
           <Pill active>Neon Runner 3D</Pill>
-          <span style={{ opacity: 0.7, fontSize: 13 }}>Wave {state.wave} • Lvl {state.level}</span>
-          <span style={{ opacity: 0.7, fontSize: 13 }}>Score {state.score}</span>
+          <span style={{ opacity: 0.7, fontSize: 13 }}>Wave {hud.wave} • Lvl {hud.level}</span>
+          <span style={{ opacity: 0.7, fontSize: 13 }}>Score {hud.score}</span>
         </div>
         <div style={{ display: "flex", gap: 8 }}>
-          <Btn onClick={() => set((s) => ({ ...s, paused: !s.paused }))}>{state.paused ? "▶ Resume" : "⏸ Pause"}</Btn>
+          {replaying
+            ? <Btn onClick={() => toggleReplay(store)}>{hud.replay.playing ? "⏸ Pause" : "▶ Play"}</Btn>
+            : <Btn onClick={() => store.update(togglePause)}>{hud.paused ? "▶ Resume" : "⏸ Pause"}</Btn>}
           <Btn onClick={start}>↻ Reset</Btn>
           <Btn onClick={() => setShowHelp(true)}>🛠️ Help</Btn>
         </div>
@@ -608,14 +506,17 @@ export default function App() {
           <ambientLight intensity={0.35} />
           <pointLight position={[0, 5, 0]} intensity={1.2} castShadow shadow-mapSize-width={1024} shadow-mapSize-height={1024} />
           <LookInput />
-          <GameLoop gs={gs} krefs={{ moveDirRef, speedRef }} />
+          <WeaponInput store={store} />
+          <GameLoop store={store} playing={hud.playing} hitStop={settings.hitStop} />
           <StarField />
           <Arena />
-          <Player state={state} krefs={{ moveDirRef, speedRef }} />
-          <Enemies state={state} />
-          <Bullets state={state} />
-          <EnemyBullets state={state} />
-          <Pickups state={state} />
+          <Player store={store} speed={hud.speed} />
+          <Enemies store={store} />
+          <Bullets store={store} />
+          <Weapons store={store} />
+          <EnemyBullets store={store} />
+          <Pickups store={store} />
+          <Effects store={store} />
         </Canvas>
 
         {/* crosshair */}
@@ -631,25 +532,68 @@ export default function App() {
           <div style={{ height: 12, borderRadius: 6, background: "rgba(255,255,255,.12)", overflow: "hidden", border: "1px solid rgba(255,255,255,.15)" }}>
             <div style={{ height: "100%", width: `${hpPct}%`, background: "linear-gradient(90deg,#22c55e,#4ade80)" }} />
           </div>
+          {/* effetti di stato sul player */}
+          {hud.status.length > 0 && (
+            <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "flex-end", gap: 4, marginTop: 6 }}>
+              {hud.status.map((st) => (
+                <span key={st.key} style={{ fontSize: 11, padding: "1px 6px", borderRadius: 999, border: `1px solid ${st.color}`, color: st.color, background: "rgba(0,0,0,.35)" }}>
+                  {st.name}{st.stacks > 1 ? ` ×${st.stacks}` : ""} {st.time.toFixed(1)}s
+                </span>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* hint */}
         {!overlayOpen && (
           <div style={{ position: "absolute", right: 16, top: 8, fontSize: 12, opacity: 0.7, display: "flex", gap: 8 }}>
-            🖱️ Click to lock • WASD • LMB • Shift dash • Space jump
+            🖱️ Click to lock • WASD • LMB • Shift dash • Space jump • 1-6 / wheel weapon
+          </div>
+        )}
+
+        {/* arma impugnata */}
+        {!overlayOpen && !replaying && <WeaponBar current={hud.weapon} />}
+
+        {/* boss HP */}
+        {hud.boss && !hud.gameOver && <BossBar boss={hud.boss} />}
+
+        {/* banner wave / intro boss */}
+        {!overlayOpen && banner && (
+          <div key={banner.at} style={{ pointerEvents: "none", position: "absolute", left: 0, right: 0, top: "22%", textAlign: "center", fontSize: banner.boss ? 44 : 34, fontWeight: 700, letterSpacing: 4, color: banner.boss ? "#fde68a" : "#a5f3fc", textShadow: banner.boss ? "0 0 22px rgba(251,146,60,.9)" : "0 0 18px rgba(34,211,238,.8)" }}>
+            {banner.text}
+            {banner.sub && <div style={{ fontSize: 14, fontWeight: 600, letterSpacing: 6, opacity: 0.8, textTransform: "uppercase" }}>{banner.sub}</div>}
           </div>
         )}
 
+        {/* replay player */}
+        {replaying && !showHelp && (
+          <div style={{ position: "absolute", left: 16, right: 16, bottom: 12, display: "flex", justifyContent: "center" }}>
+            <ReplayControls
+              status={hud.replay}
+              onToggle={() => toggleReplay(store)}
+              onSpeed={setReplaySpeed}
+              onSeek={seekReplayTo}
+              onExport={() => downloadReplay(store.replay.rec)}
+              onExit={exitReplay}
+            />
+          </div>
+        )}
+
+        {/* tinta degli effetti di stato (bordo dello schermo, colore dell'effetto più lungo) */}
+        {!overlayOpen && hud.status.length > 0 && (
+          <div style={{ pointerEvents: "none", position: "absolute", inset: 0, boxShadow: `inset 0 0 140px ${[...hud.status].sort((a, b) => b.time - a.time)[0].color}`, opacity: 0.55 }} />
+        )}
+
         {/* hit flash */}
         {!overlayOpen && (
-          <div style={{ pointerEvents: "none", position: "absolute", inset: 0, background: `rgba(255,215,64,${Math.min(0.28, state.hitFlash * 0.28)})`, mixBlendMode: "screen", transition: "background 50ms linear" }} />
+          <div style={{ pointerEvents: "none", position: "absolute", inset: 0, background: `rgba(255,215,64,${Math.min(0.28, hud.hitFlash * 0.28)})`, mixBlendMode: "screen", transition: "background 80ms linear" }} />
         )}
       </div>
 
       {/* footer */}
       <div style={{ position: "relative", zIndex: 2, display: "flex", alignItems: "center", justifyContent: "space-between", padding: "8px 16px", borderTop: "1px solid rgba(255,255,255,.1)", fontSize: 12, opacity: 0.75 }}>
         <div style={{ display: "flex", gap: 16 }}>
-          <span>WASD: Move</span><span>Mouse: Look</span><span>LMB: Shoot</span><span>Shift: Dash</span><span>Space: Jump</span><span>P: Pause</span>
+          <span>WASD: Move</span><span>Mouse: Look</span><span>LMB: Shoot</span><span>Shift: Dash</span><span>Space: Jump</span><span>1-6 / Wheel: Weapon</span><span>P: Pause</span>
         </div>
         <div>🛡️ Survive the waves.</div>
       </div>
@@ -660,24 +604,60 @@ export default function App() {
           <Panel className="max-w-xl w-full">
             <div className="p-4 border-b border-white/10">
               <div className="text-lg font-semibold">Neon Runner 3D</div>
-              <div className="text-xs text-white/70 mt-1">Click to lock the mouse • WASD • Left click • Shift dash • Space jump</div>
+              <div className="text-xs text-white/70 mt-1">Click to lock the mouse • WASD • Left click • Shift dash • Space jump • 1-6 or wheel to switch weapon</div>
             </div>
             <div className="p-4 space-y-4">
               <div className="flex items-center gap-2">
-                <Pill active={state.difficulty === 1} onClick={() => set((s) => ({ ...s, difficulty: 1 }))}>Easy</Pill>
-                <Pill active={state.difficulty === 2} onClick={() => set((s) => ({ ...s, difficulty: 2 }))}>Normal</Pill>
-                <Pill active={state.difficulty === 3} onClick={() => set((s) => ({ ...s, difficulty: 3 }))}>Hard</Pill>
+                <Pill active={hud.difficulty === 1} onClick={() => store.update((s) => ({ ...s, difficulty: 1 }))}>Easy</Pill>
+                <Pill active={hud.difficulty === 2} onClick={() => store.update((s) => ({ ...s, difficulty: 2 }))}>Normal</Pill>
+                <Pill active={hud.difficulty === 3} onClick={() => store.update((s) => ({ ...s, difficulty: 3 }))}>Hard</Pill>
+                <span className="ml-auto" />
+                <Pill active={hud.flanking} onClick={() => store.update((s) => ({ ...s, flanking: !s.flanking }))}>Flanking {hud.flanking ? "on" : "off"}</Pill>
+                <Pill active={settings.hitStop} onClick={() => toggleSetting("hitStop")}>Hit-stop {settings.hitStop ? "on" : "off"}</Pill>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-white/70">Seed</span>
+                <input
+                  value={seedInput}
+                  onChange={(e) => setSeedInput(e.target.value)}
+                  placeholder="random"
+                  className="flex-1 px-2.5 py-1 rounded-xl bg-white/10 border border-white/15 text-sm text-white outline-none"
+                />
               </div>
               <div className="flex items-center gap-2">
                 <Btn className="flex-1" variant="primary" onClick={start}>▶ Start</Btn>
+                {hasSave && <Btn onClick={continueRun}>⏯ Continue</Btn>}
                 <Btn onClick={() => start()}>↻ Quick Reset</Btn>
               </div>
+              <div className="flex items-center gap-2">
+                <label className="inline-flex items-center justify-center rounded-xl px-3 py-1.5 text-sm border bg-white/10 text-white border-white/15 hover:bg-white/15 cursor-pointer">
+                  📼 Load Replay
+                  <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { importReplay(e.target.files?.[0]); e.target.value = ""; }} />
+                </label>
+                {replayError && <span className="text-xs text-rose-300">{replayError}</span>}
+              </div>
+              <HighScoreTable table={scores} difficulty={hud.difficulty} highlightId={lastScoreId} />
             </div>
           </Panel>
         </div>
       )}
 
-      {state.paused && !showHelp && !state.gameOver && levelChoices.length > 0 && (
+      {hud.playing && hud.paused && !showHelp && !replaying && !hud.gameOver && levelChoices.length === 0 && (
+        <div style={{ position: "absolute", inset: 0, zIndex: 1000, background: "rgba(0,0,0,.6)", backdropFilter: "blur(4px)", display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
+          <Panel className="max-w-sm w-full">
+            <div className="p-4 border-b border-white/10">
+              <div className="text-lg font-semibold">⏸ Paused</div>
+              <div className="text-xs text-white/70 mt-1">Wave {hud.wave} • Lvl {hud.level} • Score {hud.score}</div>
+            </div>
+            <div className="p-4 flex items-center gap-2">
+              <Btn className="flex-1" variant="primary" onClick={() => { store.update(togglePause); requestLock(); }}>▶ Resume</Btn>
+              <Btn onClick={saveAndQuit}>💾 Save & Quit</Btn>
+            </div>
+          </Panel>
+        </div>
+      )}
+
+      {hud.paused && !showHelp && !replaying && !hud.gameOver && levelChoices.length > 0 && (
         <div style={{ position: "absolute", inset: 0, zIndex: 1000, background: "rgba(0,0,0,.6)", backdropFilter: "blur(4px)", display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
           <Panel className="max-w-2xl w-full">
             <div className="p-4 border-b border-white/10">
@@ -690,8 +670,8 @@ export default function App() {
                   key={u.key}
                   className="text-left h-auto py-3 flex flex col items-start gap-1"
                   onClick={() => {
-                    set((s) => u.apply({ ...s, paused: false }));
-                    setLevelChoices([]);
+                    if (store.recording) recordChoice(store.recording, u.key);
+                    store.update((s) => chooseUpgrade(s, u.key));
                     try {
                       const el = canvasEl;
                       const req = el?.requestPointerLock || el?.webkitRequestPointerLock || el?.mozRequestPointerLock;
@@ -708,16 +688,50 @@ export default function App() {
         </div>
       )}
 
-      {state.gameOver && (
+      {hud.gameOver && !replaying && (
         <div style={{ position: "absolute", inset: 0, zIndex: 1000, background: "rgba(0,0,0,.7)", backdropFilter: "blur(4px)", display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
-          <Panel className="max-w-md w-full">
+          <Panel className="max-w-lg w-full max-h-full overflow-auto">
             <div className="p-4 border-b border-white/10">
               <div className="text-lg font-semibold">Game Over</div>
-              <div className="text-xs text-white/70 mt-1">Your score: {state.score}</div>
+              <div className="text-xs text-white/70 mt-1">Your score: {hud.score}</div>
+              <div className="text-xs text-white/70 mt-1">Seed: <span className="font-mono select-all">{hud.seed}</span></div>
             </div>
+            <div className="p-4 space-y-3 border-b border-white/10">
+              {canSaveScore && (
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-white/70">🏆 New high score! Name</span>
+                  <input
+                    value={nameInput}
+                    maxLength={16}
+                    onChange={(e) => setNameInput(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === "Enter") saveScore(); }}
+                    placeholder="Runner"
+                    className="flex-1 px-2.5 py-1 rounded-xl bg-white/10 border border-white/15 text-sm text-white outline-none"
+                  />
+                  <Btn variant="primary" onClick={saveScore}>Save</Btn>
+                </div>
+              )}
+              <HighScoreTable table={scores} difficulty={hud.difficulty} highlightId={lastScoreId} />
+            </div>
+            {report && (
+              <div className="p-4 space-y-3 border-b border-white/10">
+                <RunReport report={report} />
+                <div className="flex items-center gap-2">
+                  <Btn onClick={copyReport}>📋 Copy JSON</Btn>
+                  <Btn onClick={() => downloadJson(`neon-runner-${report.seed}.json`, report)}>⬇ Download JSON</Btn>
+                </div>
+              </div>
+            )}
+            {store.recording && (
+              <div className="p-4 flex items-center gap-2 border-b border-white/10">
+                <Btn onClick={() => watchReplay(store.recording)}>📼 Watch Replay</Btn>
+                <Btn onClick={() => downloadReplay(store.recording)}>⬇ Download Replay</Btn>
+              </div>
+            )}
             <div className="p-4 flex items-center gap-2">
               <Btn className="flex-1" variant="primary" onClick={start}>↻ Try Again</Btn>
-              <Btn onClick={() => { set((s) => ({ ...s, gameOver: false, paused: true })); setShowHelp(true); }}>⚙️ Options</Btn>
+              <Btn onClick={() => startWithSeed(hud.seed)}>🎲 Same Seed</Btn>
+              <Btn onClick={() => { store.update((s) => ({ ...s, gameOver: false, paused: true })); setShowHelp(true); }}>⚙️ Options</Btn>
             </div>
           </Panel>
         </div>
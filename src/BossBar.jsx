@@ -0,0 +1,27 @@
+import React from "react";
+
+/**
+ * BossBar — barra HP del boss in cima al canvas
+ * Props:
+ *  - boss: { name, hp, maxHp, phase, invulnerable, color, thresholds } -> hud.boss
+ * Le tacche segnano le soglie di fase; durante la transizione invulnerabile la barra diventa uno scudo.
+ */
+
+export default function BossBar({ boss }) {
+  const { name, hp, maxHp, phase, invulnerable, color, thresholds } = boss;
+  const pct = Math.max(0, Math.min(100, (hp / (maxHp || 1)) * 100));
+  return (
+    <div style={{ pointerEvents: "none", position: "absolute", left: "50%", top: 12, transform: "translateX(-50%)", width: "min(560px, 70%)", textAlign: "center" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13, fontWeight: 700, letterSpacing: 2, marginBottom: 4, textShadow: "0 0 8px rgba(0,0,0,.8)" }}>
+        <span style={{ color }}>{name}</span>
+        <span style={{ opacity: 0.75, fontWeight: 600 }}>{invulnerable ? "SHIELDED" : `Phase ${phase + 1}`}</span>
+      </div>
+      <div style={{ position: "relative", height: 14, borderRadius: 7, background: "rgba(255,255,255,.1)", overflow: "hidden", border: "1px solid rgba(255,255,255,.2)" }}>
+        <div style={{ height: "100%", width: `${pct}%`, background: invulnerable ? "#a5f3fc" : color, boxShadow: `0 0 12px ${color}`, transition: "width 120ms linear" }} />
+        {thresholds.map((t) => (
+          <div key={t} style={{ position: "absolute", top: 0, bottom: 0, left: `${t * 100}%`, width: 2, background: "rgba(0,0,0,.6)" }} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,394 @@
+import React, { useMemo } from "react";
+import * as THREE from "three";
+import { useFrame } from "@react-three/fiber";
+import { lerpPos } from "./game/clock.js";
+import { ENEMY_TYPES, enemyType, val } from "./game/enemies.js";
+import { PICKUP_TYPES } from "./game/pickups.js";
+import { AFFIXES, isElite, affixLabel } from "./game/affixes.js";
+import { statusColor } from "./game/status.js";
+import { WEAPONS, bladePositions } from "./game/weapons.js";
+
+/**
+ * Entities — nemici, proiettili, pickup ed effetti disegnati con THREE.InstancedMesh
+ *  - una geometria e un materiale condivisi per tipo, un solo draw call per gruppo
+ *  - colore per istanza (instanceColor), anche sull'emissive dei nemici
+ *  - le matrici si riscrivono in useFrame: nessun elemento React per entità
+ * Props comuni:
+ *  - store: game store (store.world vivo, store.alpha per interpolare prevPos -> pos)
+ */
+
+const GEO = {
+  bar: new THREE.BoxGeometry(1, 1, 1),
+  bullet: new THREE.SphereGeometry(0.12, 12, 12),
+  eBullet: new THREE.SphereGeometry(0.14, 14, 14),
+  pickup: new THREE.IcosahedronGeometry(0.25, 0),
+  ring: new THREE.RingGeometry(0.85, 1, 48).rotateX(-Math.PI / 2),
+  aura: new THREE.SphereGeometry(1, 16, 12),
+  spark: new THREE.OctahedronGeometry(0.09, 0),
+  beam: new THREE.CylinderGeometry(1, 1, 1, 8, 1, true).rotateX(Math.PI / 2), // asse lungo z
+  blade: new THREE.TetrahedronGeometry(1, 0),
+};
+
+const COLORS = {
+  barBg: "#111",
+  chargeLine: "#f0abfc",
+  shockwave: "#ffb38a",
+  shield: "#a5f3fc",
+  pickup: "#ffffff", // tipo non registrato
+  bullet: "#00ffe6",  // colpi senza arma (save precedenti)
+};
+
+const BAR_W = 1.8;
+
+// geometria unitaria (scalata poi per il radius) dal look di un archetipo, condivisa per forma
+const SHAPES = {
+  dodecahedron: (d) => new THREE.DodecahedronGeometry(1, d),
+  icosahedron: (d) => new THREE.IcosahedronGeometry(1, d),
+  octahedron: (d) => new THREE.OctahedronGeometry(1, d),
+  tetrahedron: (d) => new THREE.TetrahedronGeometry(1, d),
+  sphere: (d) => new THREE.SphereGeometry(1, 8 + 4 * d, 6 + 3 * d),
+  box: () => new THREE.BoxGeometry(1.4, 1.4, 1.4),
+  cone: (d) => new THREE.ConeGeometry(1, 1.8, 6 + 2 * d),
+  torus: (d) => new THREE.TorusGeometry(0.8, 0.3, 6 + 2 * d, 12 + 4 * d),
+};
+const shapeCache = new Map();
+function shapeGeometry({ shape = "dodecahedron", detail = 0 } = {}) {
+  const k = `${shape}:${detail}`;
+  if (!shapeCache.has(k)) shapeCache.set(k, (SHAPES[shape] ?? SHAPES.dodecahedron)(detail));
+  return shapeCache.get(k);
+}
+
+// MeshStandardMaterial il cui emissive è moltiplicato per il colore d'istanza
+function instancedStandard({ emissiveIntensity = 0, ...params }) {
+  const mat = new THREE.MeshStandardMaterial({ color: "#ffffff", emissive: "#ffffff", emissiveIntensity, ...params });
+  mat.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace(
+      "#include <emissivemap_fragment>",
+      "#include <emissivemap_fragment>\n#ifdef USE_COLOR\n  totalEmissiveRadiance *= vColor;\n#endif"
+    );
+  };
+  return mat;
+}
+
+const dummy = new THREE.Object3D();
+const tmpColor = new THREE.Color();
+const bodyColor = new THREE.Color();
+const WHITE = new THREE.Color("#ffffff");
+const tmpPos = new THREE.Vector3();
+const bodyPos = new THREE.Vector3();
+
+// InstancedMesh a capacità fissa: fill(mesh) scrive le istanze e ritorna quante sono visibili
+function Instances({ geometry, material, capacity, colored = false, castShadow = false, fill }) {
+  const mesh = useMemo(() => {
+    const m = new THREE.InstancedMesh(geometry, material, capacity);
+    m.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    if (colored) m.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+    m.frustumCulled = false; // il bounding sphere sarebbe quello della sola geometria
+    m.castShadow = castShadow;
+    m.count = 0;
+    return m;
+  }, [geometry, material, capacity, colored, castShadow]);
+
+  useFrame(() => {
+    mesh.count = Math.min(capacity, fill(mesh, capacity));
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+  });
+
+  return <primitive object={mesh} />;
+}
+
+function put(mesh, i, pos, sx, sy = sx, sz = sx, color) {
+  dummy.position.copy(pos);
+  dummy.scale.set(sx, sy, sz);
+  dummy.updateMatrix();
+  mesh.setMatrixAt(i, dummy.matrix);
+  if (color) mesh.setColorAt(i, tmpColor.set(color));
+}
+
+// un InstancedMesh per archetipo (geometria + materiale dal look), barre HP condivise
+// e.telegraph (0..1, colpo in preparazione): il corpo si gonfia e vira al bianco;
+// fasi (e.phase): colore da look.phaseColors, lampeggio durante la transizione invulnerabile;
+// effetti di stato: tinta del più recente; e.hitFlash (colpo appena preso): lampo bianco
+function EnemyBodies({ store, def, capacity }) {
+  const mat = useMemo(() => instancedStandard({ emissiveIntensity: def.look.emissiveIntensity ?? 0.8, metalness: 0.25, roughness: 0.3 }), [def]);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const e of store.world.enemies) {
+      if (e.type !== def.key || n >= cap) continue;
+      const glow = e.invulnerable > 0 ? 0.5 + 0.5 * Math.sin(store.world.time * 30) : e.telegraph || 0;
+      const r = e.radius * (1 + 0.25 * glow);
+      const color = def.look.phaseColors?.[e.phase ?? 0] ?? def.look.color;
+      const tint = statusColor(e);
+      bodyColor.set(color);
+      if (tint) bodyColor.lerp(tmpColor.set(tint), 0.6);
+      put(mesh, n++, lerpPos(tmpPos, e, store.alpha), r, r, r, bodyColor.lerp(WHITE, Math.max(0.7 * glow, 0.9 * (e.hitFlash || 0))));
+    }
+    return n;
+  };
+  return <Instances geometry={shapeGeometry(def.look)} material={mat} capacity={capacity} colored castShadow fill={fill} />;
+}
+
+// linea a terra lungo la traiettoria di una carica in preparazione (behaviour "charge")
+function ChargeLines({ store, capacity }) {
+  const mat = useMemo(() => new THREE.MeshBasicMaterial({ color: "#ffffff", transparent: true, opacity: 0.55, depthWrite: false }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const e of store.world.enemies) {
+      if (e.chargeState !== "windup" || n >= cap) continue;
+      const p = enemyType(e).charge;
+      const len = val(p.speed, store.world) * p.duration;
+      lerpPos(tmpPos, e, store.alpha).addScaledVector(e.chargeDir, len / 2);
+      dummy.position.set(tmpPos.x, 0.03, tmpPos.z);
+      dummy.rotation.set(0, Math.atan2(e.chargeDir.x, e.chargeDir.z), 0);
+      dummy.scale.set(0.2 + 0.3 * e.telegraph, 0.02, len);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(n, dummy.matrix);
+      mesh.setColorAt(n++, tmpColor.set(COLORS.chargeLine).multiplyScalar(0.3 + 0.7 * e.telegraph));
+    }
+    dummy.rotation.set(0, 0, 0);
+    return n;
+  };
+  return <Instances geometry={GEO.bar} material={mat} capacity={capacity} colored fill={fill} />;
+}
+
+// scintille che salgono attorno ai nemici con effetti di stato (solo visive: posizioni da tempo e id)
+const SPARKS = 3;
+function StatusSparks({ store, capacity }) {
+  const mat = useMemo(() => new THREE.MeshBasicMaterial({ color: "#ffffff", transparent: true, opacity: 0.9, blending: THREE.AdditiveBlending, depthWrite: false }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    const time = store.world.time;
+    for (const e of store.world.enemies) {
+      const tint = statusColor(e);
+      if (!tint) continue;
+      lerpPos(bodyPos, e, store.alpha);
+      for (let k = 0; k < SPARKS && n < cap; k++) {
+        const t = (time * 0.8 + k / SPARKS + e.id * 0.37) % 1;
+        const a = e.id * 2.1 + k * 2.4 + time * 1.5;
+        tmpPos.set(bodyPos.x + Math.cos(a) * e.radius * 0.9, bodyPos.y - e.radius * 0.5 + t * e.radius * 2, bodyPos.z + Math.sin(a) * e.radius * 0.9);
+        put(mesh, n++, tmpPos, 1 - 0.6 * t, 1 - 0.6 * t, 1 - 0.6 * t, tint);
+      }
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.spark} material={mat} capacity={capacity} colored fill={fill} />;
+}
+
+// scudo attorno ai nemici invulnerabili (transizione di fase dei boss)
+function Shields({ store, capacity }) {
+  const mat = useMemo(() => new THREE.MeshBasicMaterial({ color: COLORS.shield, transparent: true, opacity: 0.25, blending: THREE.AdditiveBlending, depthWrite: false }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const e of store.world.enemies) {
+      if (!(e.invulnerable > 0) || n >= cap) continue;
+      const r = e.radius * (1.6 + 0.1 * Math.sin(store.world.time * 12));
+      put(mesh, n++, lerpPos(tmpPos, e, store.alpha), r);
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.aura} material={mat} capacity={capacity} fill={fill} />;
+}
+
+// elite: aura pulsante del colore del primo affisso
+function EliteAuras({ store, capacity }) {
+  const mat = useMemo(() => new THREE.MeshBasicMaterial({ color: "#ffffff", transparent: true, opacity: 0.35, blending: THREE.AdditiveBlending, depthWrite: false }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    const pulse = 1 + 0.08 * Math.sin(store.world.time * 6);
+    for (const e of store.world.enemies) {
+      if (!isElite(e) || n >= cap) continue;
+      const r = e.radius * 1.45 * pulse;
+      put(mesh, n++, lerpPos(tmpPos, e, store.alpha), r, r, r, AFFIXES[e.affixes[0]]?.color ?? "#ffffff");
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.aura} material={mat} capacity={capacity} colored fill={fill} />;
+}
+
+// elite: nome degli affissi sopra la barra HP; pool di sprite, una texture (canvas) per etichetta
+const tagMaterials = new Map();
+function tagMaterial(label, color) {
+  const k = `${label}|${color}`;
+  if (!tagMaterials.has(k)) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 512; canvas.height = 64;
+    const ctx = canvas.getContext("2d");
+    ctx.font = "bold 32px system-ui, sans-serif";
+    ctx.textAlign = "center"; ctx.textBaseline = "middle";
+    ctx.lineWidth = 6; ctx.strokeStyle = "rgba(0,0,0,.85)";
+    ctx.strokeText(label, 256, 32);
+    ctx.fillStyle = color;
+    ctx.fillText(label, 256, 32);
+    const map = new THREE.CanvasTexture(canvas);
+    map.colorSpace = THREE.SRGBColorSpace;
+    tagMaterials.set(k, new THREE.SpriteMaterial({ map, transparent: true, depthWrite: false }));
+  }
+  return tagMaterials.get(k);
+}
+
+function EliteTags({ store, capacity }) {
+  const sprites = useMemo(() => Array.from({ length: capacity }, () => {
+    const sp = new THREE.Sprite();
+    sp.scale.set(4, 0.5, 1);
+    sp.visible = false;
+    return sp;
+  }), [capacity]);
+  const group = useMemo(() => new THREE.Group().add(...sprites), [sprites]);
+
+  useFrame(() => {
+    let n = 0;
+    for (const e of store.world.enemies) {
+      if (!isElite(e) || n >= capacity) continue;
+      const sp = sprites[n++];
+      sp.material = tagMaterial(affixLabel(e), AFFIXES[e.affixes[0]]?.color ?? "#ffffff");
+      lerpPos(sp.position, e, store.alpha);
+      sp.position.y += e.radius + enemyType(e).look.barOffset + 0.3;
+      sp.visible = true;
+    }
+    for (let i = n; i < capacity; i++) sprites[i].visible = false;
+  });
+
+  return <primitive object={group} />;
+}
+
+export function Enemies({ store, capacity = 128 }) {
+  const barMat = useMemo(() => new THREE.MeshBasicMaterial({ color: "#ffffff" }), []);
+
+  // HP bar: sfondo + riempimento (colore dell'archetipo); i boss hanno la barra a schermo (BossBar)
+  const fillBar = (fg) => (mesh, cap) => {
+    let n = 0;
+    for (const e of store.world.enemies) {
+      if (n >= cap) break;
+      const { look, boss } = enemyType(e);
+      if (boss) continue;
+      const ratio = Math.max(0, e.hp / (e.maxHp || 1));
+      const w = fg ? Math.max(0.05, ratio) * BAR_W : BAR_W;
+      lerpPos(tmpPos, e, store.alpha);
+      tmpPos.y += e.radius + look.barOffset;
+      if (fg) tmpPos.x += -BAR_W / 2 + (ratio * BAR_W) / 2;
+      put(mesh, n++, tmpPos, w, 0.06, 0.06, fg ? look.barColor : COLORS.barBg);
+    }
+    return n;
+  };
+
+  return (
+    <group>
+      {Object.values(ENEMY_TYPES).map((def) => (
+        <EnemyBodies key={def.key} store={store} def={def} capacity={def.boss ? 4 : capacity} />
+      ))}
+      <ChargeLines store={store} capacity={16} />
+      <EliteAuras store={store} capacity={32} />
+      <Shields store={store} capacity={4} />
+      <StatusSparks store={store} capacity={192} />
+      <EliteTags store={store} capacity={24} />
+      <Instances geometry={GEO.bar} material={barMat} capacity={capacity} colored fill={fillBar(false)} />
+      <Instances geometry={GEO.bar} material={barMat} capacity={capacity} colored fill={fillBar(true)} />
+    </group>
+  );
+}
+
+// colpi del player, del colore dell'arma; i razzi più grossi
+export function Bullets({ store, capacity = 512 }) {
+  const mat = useMemo(() => new THREE.MeshBasicMaterial({ color: "#ffffff" }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const b of store.world.bullets) {
+      if (n >= cap) break;
+      put(mesh, n++, lerpPos(tmpPos, b, store.alpha), b.splash ? 2.2 : 1, b.splash ? 2.2 : 1, b.splash ? 2.2 : 1, WEAPONS[b.weapon]?.color ?? COLORS.bullet);
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.bullet} material={mat} capacity={capacity} colored fill={fill} />;
+}
+
+// armi senza proiettili: raggio del laser (s.player.beam) e lame orbitanti attorno al player
+export function Weapons({ store }) {
+  const beam = useMemo(() => {
+    const m = new THREE.Mesh(GEO.beam, new THREE.MeshBasicMaterial({ color: WEAPONS.laser?.color ?? "#ffffff", transparent: true, opacity: 0.85, blending: THREE.AdditiveBlending, depthWrite: false }));
+    m.frustumCulled = false;
+    m.visible = false;
+    return m;
+  }, []);
+  const bladeMat = useMemo(() => instancedStandard({ emissiveIntensity: 1.1, metalness: 0.4, roughness: 0.25 }), []);
+
+  useFrame(() => {
+    const b = store.world.player.beam;
+    beam.visible = !!b;
+    if (!b) return;
+    const len = Math.max(0.01, b.from.distanceTo(b.to));
+    beam.position.copy(b.from).lerp(b.to, 0.5);
+    beam.lookAt(b.to);
+    const w = 0.05 + 0.02 * Math.sin(store.world.time * 60);
+    beam.scale.set(w, w, len);
+  });
+
+  const fillBlades = (mesh, cap) => {
+    const w = store.world;
+    if (w.player.weapon !== "blades" || !w.player.weapons?.blades) return 0;
+    const center = lerpPos(bodyPos, w.player, store.alpha);
+    let n = 0;
+    for (const pos of bladePositions(w, w.player.weapons.blades, center)) {
+      if (n >= cap) break;
+      dummy.position.copy(pos);
+      dummy.rotation.set(w.time * 9, w.time * 13, 0);
+      dummy.scale.setScalar(0.45);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(n, dummy.matrix);
+      mesh.setColorAt(n++, tmpColor.set(WEAPONS.blades.color));
+    }
+    dummy.rotation.set(0, 0, 0);
+    return n;
+  };
+
+  return (
+    <group>
+      <primitive object={beam} />
+      <Instances geometry={GEO.blade} material={bladeMat} capacity={12} colored fill={fillBlades} />
+    </group>
+  );
+}
+
+export function EnemyBullets({ store, capacity = 512 }) {
+  const mat = useMemo(() => new THREE.MeshStandardMaterial({ color: "#ffd166", emissive: "#ffb703", emissiveIntensity: 0.9 }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const b of store.world.eBullets) {
+      if (n >= cap) break;
+      put(mesh, n++, lerpPos(tmpPos, b, store.alpha), 1);
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.eBullet} material={mat} capacity={capacity} fill={fill} />;
+}
+
+export function Pickups({ store, capacity = 256 }) {
+  const mat = useMemo(() => new THREE.MeshStandardMaterial({ color: "#ffffff" }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const p of store.world.pickups) {
+      if (n >= cap) break;
+      put(mesh, n++, lerpPos(tmpPos, p, store.alpha), 1, 1, 1, PICKUP_TYPES[p.type]?.color ?? COLORS.pickup);
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.pickup} material={mat} capacity={capacity} colored fill={fill} />;
+}
+
+// onde d'urto delle esplosioni: anello a terra che si allarga fino al raggio e sfuma
+export function Effects({ store, capacity = 32 }) {
+  const mat = useMemo(() => new THREE.MeshBasicMaterial({ color: "#ffffff", transparent: true, blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide }), []);
+  const fill = (mesh, cap) => {
+    let n = 0;
+    for (const fx of store.world.effects) {
+      if (fx.type !== "shockwave" || n >= cap) continue;
+      const t = Math.min(1, fx.age / fx.life);
+      const r = fx.radius * (0.2 + 0.8 * Math.sqrt(t));
+      tmpPos.set(fx.pos.x, 0.04, fx.pos.z);
+      put(mesh, n++, tmpPos, r, 1, r);
+      mesh.setColorAt(n - 1, tmpColor.set(COLORS.shockwave).multiplyScalar(1 - t));
+    }
+    return n;
+  };
+  return <Instances geometry={GEO.ring} material={mat} capacity={capacity} colored fill={fill} />;
+}
@@ -0,0 +1,48 @@
+import React from "react";
+import { DIFFICULTY_NAMES, formatTime } from "./storage/highscores.js";
+
+/**
+ * HighScoreTable — top 10 locale di una difficoltà
+ * Props:
+ *  - table: { [difficulty]: entry[] }  -> da loadHighScores()
+ *  - difficulty: 1 | 2 | 3
+ *  - highlightId: string               -> entry appena inserita (evidenziata)
+ */
+export default function HighScoreTable({ table, difficulty, highlightId }) {
+  const list = table?.[difficulty] || [];
+  return (
+    <div>
+      <div className="text-xs text-white/70 mb-1">🏆 High scores — {DIFFICULTY_NAMES[difficulty]}</div>
+      {list.length === 0 ? (
+        <div className="text-xs text-white/50">No runs yet.</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead className="text-white/50">
+            <tr>
+              <th className="text-left font-normal">#</th>
+              <th className="text-left font-normal">Name</th>
+              <th className="text-right font-normal">Score</th>
+              <th className="text-right font-normal">Wave</th>
+              <th className="text-right font-normal">Lvl</th>
+              <th className="text-right font-normal">Time</th>
+              <th className="text-right font-normal">Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((e, i) => (
+              <tr key={e.id} className={e.id === highlightId ? "bg-emerald-600/40 text-white" : "text-white/85"}>
+                <td>{i + 1}</td>
+                <td className="truncate max-w-[8rem]">{e.name}</td>
+                <td className="text-right">{e.score}</td>
+                <td className="text-right">{e.wave}</td>
+                <td className="text-right">{e.level}</td>
+                <td className="text-right">{formatTime(e.time)}</td>
+                <td className="text-right">{new Date(e.date).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
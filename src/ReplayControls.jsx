@@ -0,0 +1,48 @@
+import React from "react";
+import { TICK_RATE } from "./game/clock.js";
+import { formatTime } from "./storage/highscores.js";
+
+/**
+ * ReplayControls — barra del replay player (play/pausa, velocità, scrubbing, export)
+ * Props:
+ *  - status: { tick, ticks, playing, speed } -> hud.replay
+ *  - onToggle(), onSpeed(speed), onSeek(tick), onExport(), onExit()
+ */
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const btn = "inline-flex items-center justify-center rounded-xl px-3 py-1.5 text-sm border bg-white/10 text-white border-white/15 hover:bg-white/15";
+
+export default function ReplayControls({ status, onToggle, onSpeed, onSeek, onExport, onExit }) {
+  const { tick, ticks, playing, speed } = status;
+  return (
+    <div className="bg-slate-900/85 border border-white/10 rounded-2xl p-3 flex flex-col gap-2 text-xs" style={{ width: "min(720px, 100%)" }}>
+      <input
+        type="range"
+        min={0}
+        max={ticks}
+        value={tick}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        className="w-full"
+      />
+      <div className="flex items-center gap-2">
+        <button type="button" className={btn} onClick={onToggle}>{playing ? "⏸" : "▶"}</button>
+        <span className="font-mono text-white/80">{formatTime(tick / TICK_RATE)} / {formatTime(ticks / TICK_RATE)}</span>
+        <div className="flex items-center gap-1 ml-auto">
+          {REPLAY_SPEEDS.map((v) => (
+            <button
+              key={v}
+              type="button"
+              onClick={() => onSpeed(v)}
+              className={`px-2 py-1 rounded-full border ${v === speed ? "bg-emerald-600 border-emerald-500/60" : "bg-white/10 border-white/15"}`}
+            >
+              {v}×
+            </button>
+          ))}
+        </div>
+        <button type="button" className={btn} onClick={onExport}>⬇ Replay</button>
+        <button type="button" className={btn} onClick={onExit}>✕ Exit</button>
+      </div>
+    </div>
+  );
+}
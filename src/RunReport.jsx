@@ -0,0 +1,40 @@
+import React from "react";
+import { formatTime } from "./storage/highscores.js";
+
+/**
+ * RunReport — riepilogo statistiche della run nel pannello Game Over
+ * Props:
+ *  - report: object -> da runReport(world)
+ */
+function Row({ label, children }) {
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <span className="text-white/60">{label}</span>
+      <span className="text-white/90 text-right">{children}</span>
+    </div>
+  );
+}
+
+const list = (counts) => {
+  const entries = Object.entries(counts);
+  return entries.length ? entries.map(([k, n]) => `${k} ${n}`).join(" • ") : "—";
+};
+
+export default function RunReport({ report }) {
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-xs">
+      <Row label="Time survived">{formatTime(report.timeSurvived)}</Row>
+      <Row label="Wave / Level">{report.wave} / {report.level}</Row>
+      <Row label="Kills">{report.totalKills}</Row>
+      <Row label="Boss / elite kills">{report.bossKills} / {report.eliteKills}</Row>
+      <Row label="Shots fired">{report.shotsFired}</Row>
+      <Row label="Accuracy">{report.accuracy}%</Row>
+      <Row label="Damage dealt">{report.damageDealt}</Row>
+      <Row label="Damage taken">{report.damageTaken}</Row>
+      <Row label="Dashes">{report.dashes}</Row>
+      <Row label="Kills by type">{list(report.kills)}</Row>
+      <Row label="Pickups">{list(report.pickups)}</Row>
+      <Row label="Upgrades">{report.upgrades.length ? report.upgrades.join(" → ") : "—"}</Row>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+import { weaponList } from "./game/weapons.js";
+
+/**
+ * WeaponBar — armi in basso al centro del canvas, con tasto e arma impugnata evidenziata
+ * Props:
+ *  - current: chiave dell'arma impugnata -> hud.weapon
+ */
+
+export default function WeaponBar({ current }) {
+  return (
+    <div style={{ pointerEvents: "none", position: "absolute", left: "50%", bottom: 16, transform: "translateX(-50%)", display: "flex", gap: 6 }}>
+      {weaponList().map((w) => {
+        const active = w.key === current;
+        return (
+          <div
+            key={w.key}
+            style={{
+              minWidth: 74, padding: "4px 8px", borderRadius: 10, fontSize: 11, textAlign: "center",
+              border: `1px solid ${active ? w.color : "rgba(255,255,255,.15)"}`,
+              background: active ? "rgba(15,23,42,.85)" : "rgba(15,23,42,.5)",
+              color: active ? w.color : "rgba(226,232,240,.6)",
+              boxShadow: active ? `0 0 10px ${w.color}` : "none",
+            }}
+          >
+            <div style={{ fontSize: 10, opacity: 0.7 }}>{w.slot}</div>
+            <div style={{ fontWeight: active ? 700 : 500 }}>{w.name}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
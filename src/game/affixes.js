@@ -0,0 +1,103 @@
+import { vec3 } from "./util.js";
+import { random, rnd } from "./rng.js";
+
+/**
+ * affixes — modificatori "elite" estratti allo spawn dei nemici non boss (e.affixes: chiavi)
+ *
+ * Affisso:
+ *  - name, color                        -> name tag e aura nel rendering (colore del primo affisso); la chiave è quella in AFFIXES
+ *  - apply?(e, s)                       -> allo spawn, modifica l'entità
+ *  - update?(e, s, dt)                  -> a ogni tick, dopo i behaviour
+ *  - hit?(e, s, dmg) -> dmg             -> danno ricevuto da un proiettile del player
+ *  - dealt?(e, s, dmg)                  -> danno inflitto al player (contatto o behaviour)
+ * Un elite vale ELITE_REWARD volte punti/XP e alla morte lascia sempre un drop dalle righe migliori della tabella.
+ */
+
+const ELITE_HP = 1.6;
+const ELITE_REWARD = 3;
+const TELEPORT_RANGE = [6, 10];
+
+export const AFFIXES = {
+  armored: {
+    name: "Armored", color: "#94a3b8",
+    hit: (e, s, dmg) => dmg * 0.5,
+  },
+  hasted: {
+    name: "Hasted", color: "#facc15",
+    apply: (e) => { e.speed *= 1.5; },
+  },
+  vampiric: {
+    name: "Vampiric", color: "#dc2626",
+    dealt: (e, s, dmg) => { e.hp = Math.min(e.maxHp, e.hp + dmg * 2); },
+  },
+  regenerating: {
+    name: "Regenerating", color: "#22c55e",
+    update: (e, s, dt) => { if (e.hp > 0) e.hp = Math.min(e.maxHp, e.hp + e.maxHp * 0.05 * dt); },
+  },
+  // rimanda verso il player un proiettile (a metà danno) al massimo ogni 0.4 s
+  reflective: {
+    name: "Reflective", color: "#e0f2fe",
+    apply: (e) => { e.reflectCooldown = 0; },
+    update: (e, s, dt) => { e.reflectCooldown = Math.max(0, e.reflectCooldown - dt); },
+    hit(e, s, dmg) {
+      if (e.reflectCooldown > 0) return dmg;
+      e.reflectCooldown = 0.4;
+      const dir = s.player.pos.clone().sub(e.pos).normalize();
+      const pos = e.pos.clone().addScaledVector(dir, e.radius + 0.4);
+      s.eBullets.push({ id: s.nextId++, pos, vel: dir.multiplyScalar(14), life: 2.5, damage: dmg * 0.5 });
+      return dmg;
+    },
+  },
+  // ogni 3-5 s ricompare a 6-10 unità dal player
+  teleporting: {
+    name: "Teleporting", color: "#a855f7",
+    apply: (e, s) => { e.blinkTime = rnd(s, 3, 5); },
+    update(e, s, dt) {
+      e.blinkTime -= dt;
+      if (e.blinkTime > 0) return;
+      e.blinkTime = rnd(s, 3, 5);
+      const a = rnd(s, 0, Math.PI * 2), r = rnd(s, ...TELEPORT_RANGE);
+      const to = vec3(s.player.pos.x + Math.cos(a) * r, e.pos.y, s.player.pos.z + Math.sin(a) * r);
+      const d = Math.hypot(to.x, to.z);
+      if (d > 33) { to.x *= 33 / d; to.z *= 33 / d; }
+      e.pos.copy(to);
+      e.prevPos?.copy(to); // niente interpolazione attraverso l'arena
+    },
+  },
+};
+
+const KEYS = Object.keys(AFFIXES);
+
+// probabilità che un nemico sia elite: cresce con wave e difficoltà (0 nelle prime due wave)
+export const eliteChance = (s) => Math.max(0, Math.min(0.4, 0.025 * (s.wave - 2) * (0.5 + 0.5 * s.difficulty)));
+
+export function rollAffixes(s, e) {
+  e.affixes = [];
+  const p = eliteChance(s);
+  if (p <= 0 || random(s) >= p) return e;
+  const count = s.wave >= 8 && random(s) < p / 2 ? 2 : 1;
+  const pool = [...KEYS];
+  for (let i = 0; i < count; i++) e.affixes.push(pool.splice(Math.floor(random(s) * pool.length), 1)[0]);
+  const hp = Math.round(e.maxHp * ELITE_HP);
+  e.hp = e.maxHp = hp;
+  for (const k of e.affixes) AFFIXES[k].apply?.(e, s);
+  return e;
+}
+
+export const isElite = (e) => !!e.affixes?.length;
+export const eliteReward = (n) => n * ELITE_REWARD;
+
+export function affixesUpdate(e, s, dt) {
+  for (const k of e.affixes ?? []) AFFIXES[k]?.update?.(e, s, dt);
+}
+
+export function affixesHit(e, s, dmg) {
+  for (const k of e.affixes ?? []) dmg = AFFIXES[k]?.hit?.(e, s, dmg) ?? dmg;
+  return dmg;
+}
+
+export function affixesDealt(e, s, dmg) {
+  for (const k of e.affixes ?? []) AFFIXES[k]?.dealt?.(e, s, dmg);
+}
+
+export const affixLabel = (e) => e.affixes.map((k) => AFFIXES[k]?.name ?? k).join(" • ");
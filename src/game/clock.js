@@ -0,0 +1,24 @@
+/**
+ * clock — passo fisso della simulazione con accumulatore
+ *  - consumeTicks(clock, frameDt): quanti stepWorld da TICK eseguire in questo frame
+ *  - clock.alpha: frazione di tick residua, per interpolare il rendering tra prevPos e pos
+ */
+
+export const TICK_RATE = 60;
+export const TICK = 1 / TICK_RATE;
+const MAX_FRAME = 0.1; // evita la "spirale" dopo un frame lunghissimo (tab in background ecc.)
+
+export const createClock = () => ({ acc: 0, alpha: 0 });
+
+export function consumeTicks(clock, frameDt) {
+  clock.acc += Math.min(MAX_FRAME, Math.max(0, frameDt || 0));
+  let ticks = 0;
+  while (clock.acc >= TICK) { clock.acc -= TICK; ticks++; }
+  clock.alpha = clock.acc / TICK;
+  return ticks;
+}
+
+// posizione interpolata di un'entità (fallback su pos se appena spawnata)
+export function lerpPos(out, ent, alpha) {
+  return out.copy(ent.prevPos ?? ent.pos).lerp(ent.pos, alpha);
+}
@@ -0,0 +1,48 @@
+import { clamp } from "./util.js";
+import { statusDamageTaken } from "./status.js";
+import { affixesHit } from "./affixes.js";
+
+/**
+ * combat — danni ad area ed effetti visivi della simulazione
+ *  - damageEnemy: danno a un nemico (invulnerabilità, affissi, vulnerabilità, statistiche), base di ogni danno ai nemici
+ *  - areaDamage: esplosione centrata in pos, colpisce nemici (anche chi l'ha causata, se ancora vivo, non gli invulnerabili) e player
+ *  - falloff / shockwave: attenuazione col raggio ed effetto visivo, per esplosioni che applicano il danno da sé (razzi del player)
+ *  - s.effects: effetti solo visivi ({ type, pos, radius, age, life }), invecchiati da stepWorld (tickEffects)
+ */
+
+const PLAYER_RADIUS = 0.8;
+
+// danno pieno al centro, dimezzato al bordo (d: distanza dal centro, r: raggio del bersaglio)
+export const falloff = (d, radius, r) => 1 - 0.5 * clamp(d / (radius + r), 0, 1);
+
+export function shockwave(s, pos, radius) {
+  s.effects.push({ type: "shockwave", pos: pos.clone(), radius, age: 0, life: 0.5 });
+}
+
+// ritorna il danno inflitto, o false se il nemico è invulnerabile
+export function damageEnemy(s, e, amount) {
+  if (e.invulnerable > 0) return false;
+  const dmg = affixesHit(e, s, amount) * statusDamageTaken(e);
+  s.stats.damageDealt += Math.max(0, Math.min(dmg, e.hp));
+  e.hp -= dmg;
+  return dmg;
+}
+
+// ritorna il danno al player (da sommare agli altri del tick)
+export function areaDamage(s, pos, radius, { player = 0, enemies = 0 } = {}) {
+  for (const e of s.enemies) {
+    if (e.hp <= 0 || enemies <= 0) continue;
+    const d = Math.hypot(e.pos.x - pos.x, e.pos.z - pos.z);
+    if (d < radius + e.radius) damageEnemy(s, e, enemies * falloff(d, radius, e.radius));
+  }
+  shockwave(s, pos, radius);
+  const d = pos.distanceTo(s.player.pos);
+  return d < radius + PLAYER_RADIUS ? player * falloff(d, radius, PLAYER_RADIUS) : 0;
+}
+
+export function tickEffects(s, dt) {
+  for (let i = s.effects.length - 1; i >= 0; i--) {
+    s.effects[i].age += dt;
+    if (s.effects[i].age >= s.effects[i].life) s.effects.splice(i, 1);
+  }
+}
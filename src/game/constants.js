@@ -0,0 +1 @@
+export const DIFFICULTY_NAMES = { 1: "Easy", 2: "Normal", 3: "Hard" };
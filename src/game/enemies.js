@@ -0,0 +1,692 @@
+import { vec3 } from "./util.js";
+import { random, rnd } from "./rng.js";
+import { emit } from "./events.js";
+import { areaDamage } from "./combat.js";
+import { rollAffixes, affixesUpdate } from "./affixes.js";
+import { rollStatus, statusTimeScale } from "./status.js";
+
+/**
+ * enemies — registro degli archetipi nemici (dati) e dei behaviour che li animano
+ *
+ * Archetipo:
+ *  - key: string, boss: boolean, name?: string -> nome mostrato (intro e barra HP dei boss)
+ *  - stats(s): { hp, speed, radius }      -> scalati su wave/difficoltà
+ *  - contactDamage: number                 -> danno al secondo a contatto (× difficoltà)
+ *  - mass?: number                         -> peso nelle collisioni tra nemici (default radius³, vedi steering.js)
+ *  - flankChance?: number                  -> probabilità di aggirare il player e arrivare da dietro (se s.flanking)
+ *  - statusResist?: { [status]: number }   -> moltiplicatore della durata degli effetti subiti (status.js)
+ *  - score, xp: number                     -> ricompensa all'uccisione (e.score / e.xp dell'entità, se presenti, hanno la precedenza)
+ *  - behaviors: string[]                   -> nomi in BEHAVIORS, eseguiti in ordine a ogni tick;
+ *                                             i parametri stanno nell'archetipo sotto lo stesso nome;
+ *                                             con params.phases: [...] il behaviour è attivo solo in quelle fasi (e.phase)
+ *  - drops: { chance, ttl, table: [{ type, upTo? }] } -> un solo roll: drop se roll < chance,
+ *                                             tipo = prima riga con roll < upTo (l'ultima senza upTo)
+ *  - look: { shape, detail, color, phaseColors?, emissiveIntensity, barColor, barOffset } -> rendering
+ * I parametri numerici possono essere funzioni (s) => number (vedi val).
+ */
+
+export const GROUND_Y = 1;
+
+export const val = (x, s) => (typeof x === "function" ? x(s) : x);
+
+// tier dei boss: 1 alla wave 5, 2 alla 10... (scala le stats e sceglie il boss dal roster dello script, vedi waves.js)
+export const bossTier = (s) => Math.max(1, Math.floor(s.wave / 5));
+
+/* ----------- Behaviours ----------- */
+// init(e, s, params) -> campi extra dell'entità allo spawn; update(e, s, dt, ctx, params) a ogni tick,
+// può ritornare un danno diretto al player (number); ctx.toP: direzione orizzontale normalizzata verso il player;
+// death(e, s, params) alla morte, nel death pass di stepWorld (può spawnare nemici, ritornare danno al player)
+// e.selfDestruct: morte non causata dal player (niente punti, XP, drop)
+// e.invulnerable > 0 (transizione di fase): niente danni, restano attivi solo i behaviour con always;
+// gli effetti di stato scalano il dt dei behaviour (rallentato, fermo se stordito/congelato: solo gli always, a dt pieno).
+// params.status: [{ key, chance?, duration?, stacks? }] -> effetti sul player quando l'attacco va a segno (status.js)
+
+// mira, carica o stordimento dopo una carica: gli altri movimenti sono sospesi, la linea annunciata resta dritta
+const charging = (e) => !!e.chargeState && e.chargeState !== "approach";
+
+export const BEHAVIORS = {
+  // fasi a soglie di HP (thresholds: frazioni di maxHp, decrescenti) -> e.phase 0, 1, 2...; al cambio di fase
+  // transition s di invulnerabilità con gli altri behaviour sospesi. Va messo per primo nella lista
+  phases: {
+    always: true,
+    init: () => ({ phase: 0, invulnerable: 0 }),
+    update(e, s, dt, ctx, p) {
+      if (e.invulnerable > 0) {
+        e.invulnerable = Math.max(0, e.invulnerable - dt);
+        e.pos.y += (GROUND_Y - e.pos.y) * Math.min(1, 8 * dt); // torna a terra se colto in salto
+        return 0;
+      }
+      const phase = p.thresholds.filter((t) => e.hp <= e.maxHp * t).length;
+      if (phase <= e.phase) return 0;
+      e.phase = phase;
+      e.invulnerable = p.transition;
+      if (e.leapTime) { e.leapTime = 0; e.velY = 0; }
+      s.effects.push({ type: "shockwave", pos: e.pos.clone(), radius: e.radius * 4, age: 0, life: 0.8 });
+      emit(s, "bossPhase", { id: e.id, archetype: e.type, phase });
+      return 0;
+    },
+  },
+
+  chase: {
+    update(e, s, dt, { toP }) {
+      if (charging(e)) return;
+      e.pos.addScaledVector(toP, e.speed * dt);
+    },
+  },
+
+  // salto verso il player + gravità propria
+  leap: {
+    init: (e, s, p) => ({ velY: 0, jumpCooldown: rnd(s, ...p.firstCooldown), leapTime: 0, leapDir: vec3() }),
+    update(e, s, dt, { toP }, p) {
+      e.jumpCooldown -= dt;
+      if (e.jumpCooldown <= 0 && e.pos.distanceTo(s.player.pos) < p.range) {
+        e.velY = val(p.jumpSpeed, s);
+        e.leapDir = toP.clone();
+        e.leapTime = val(p.duration, s);
+        e.jumpCooldown = rnd(s, ...p.cooldown);
+      }
+      if (e.leapTime > 0) {
+        e.pos.addScaledVector(e.leapDir, val(p.speed, s) * dt);
+        e.leapTime -= dt;
+      }
+      e.velY -= p.gravity * dt;
+      e.pos.y += e.velY * dt;
+      if (e.pos.y < GROUND_Y) { e.pos.y = GROUND_Y; e.velY = 0; }
+    },
+  },
+
+  // tiene il player a distanza [near, far] girandogli attorno; rallenta mentre prepara un colpo
+  kite: {
+    init: (e, s, p) => ({ strafeDir: random(s) < 0.5 ? -1 : 1, strafeTime: rnd(s, ...p.strafeSwitch) }),
+    update(e, s, dt, { toP }, p) {
+      if (charging(e)) return;
+      e.strafeTime -= dt;
+      if (e.strafeTime <= 0) { e.strafeDir = -e.strafeDir; e.strafeTime = rnd(s, ...p.strafeSwitch); }
+      const d = Math.hypot(s.player.pos.x - e.pos.x, s.player.pos.z - e.pos.z);
+      const radial = d > p.far ? 1 : d < p.near ? -1 : 0;
+      const step = vec3(-toP.z, 0, toP.x).multiplyScalar(e.strafeDir * p.strafe).addScaledVector(toP, radial);
+      if (step.lengthSq() > 0) step.normalize();
+      e.pos.addScaledVector(step, e.speed * (e.telegraph > 0 ? p.aimSlowdown : 1) * dt);
+      const r = Math.hypot(e.pos.x, e.pos.z);
+      if (r > p.maxRadius) { e.pos.x *= p.maxRadius / r; e.pos.z *= p.maxRadius / r; }
+    },
+  },
+
+  // carica: si ferma e prende la mira (chase e kite restano fermi fino al ritorno in approach, vedi charging) (e.telegraph 0..1, direzione in e.chargeDir), poi scatta in linea retta.
+  // Colpisce una volta per carica (non durante la finestra di dodge del dash); se finisce contro il bordo
+  // dell'arena perde wallDamage × maxHp e resta stordito
+  charge: {
+    init: (e, s, p) => ({ chargeState: "approach", chargeTimer: rnd(s, ...p.firstCooldown), chargeDir: vec3(), chargeHit: false, telegraph: 0 }),
+    update(e, s, dt, { toP }, p) {
+      e.chargeTimer -= dt;
+      const dist = Math.hypot(s.player.pos.x - e.pos.x, s.player.pos.z - e.pos.z);
+      switch (e.chargeState) {
+        case "approach":
+          e.pos.addScaledVector(toP, e.speed * dt);
+          if (e.chargeTimer <= 0 && dist < p.range) {
+            e.chargeState = "windup"; e.chargeTimer = p.windup;
+            e.chargeDir.copy(toP);
+          }
+          return 0;
+        case "windup":
+          e.telegraph = Math.min(1, 1 - e.chargeTimer / p.windup);
+          if (e.telegraph < p.track) e.chargeDir.copy(toP); // poi la direzione resta bloccata: si può schivare
+          if (e.chargeTimer <= 0) {
+            e.chargeState = "charge"; e.chargeTimer = p.duration;
+            e.telegraph = 0; e.chargeHit = false;
+          }
+          return 0;
+        case "charge": {
+          e.pos.addScaledVector(e.chargeDir, val(p.speed, s) * dt);
+          let dmg = 0;
+          if (!e.chargeHit && s.player.dodge <= 0 && e.pos.distanceTo(s.player.pos) < e.radius + 0.8) {
+            e.chargeHit = true;
+            dmg = val(p.damage, s);
+            rollStatus(s, s.player, p.status);
+          }
+          const r = Math.hypot(e.pos.x, e.pos.z);
+          if (r > p.wallRadius) {
+            e.pos.x *= p.wallRadius / r; e.pos.z *= p.wallRadius / r;
+            e.hp -= e.maxHp * p.wallDamage;
+            e.chargeState = "stunned"; e.chargeTimer = p.stun;
+          } else if (e.chargeTimer <= 0) {
+            e.chargeState = "approach"; e.chargeTimer = rnd(s, ...p.cooldown);
+          }
+          return dmg;
+        }
+        default: // stunned
+          if (e.chargeTimer <= 0) { e.chargeState = "approach"; e.chargeTimer = rnd(s, ...p.cooldown); }
+          return 0;
+      }
+    },
+  },
+
+  // alla morte si divide in count figli più piccoli e veloci, fino a maxGen generazioni (e.gen: 0 = originale)
+  split: {
+    init(e, s, p) {
+      const gen = e.gen ?? 0;
+      const hp = Math.max(1, Math.round(e.hp * p.hpScale ** gen));
+      const k = p.rewardScale ** gen;
+      e.radius *= p.radiusScale ** gen;
+      e.speed *= p.speedScale ** gen;
+      return { gen, hp, maxHp: hp, score: Math.round(p.score * k), xp: Math.max(1, Math.round(p.xp * k)) };
+    },
+    death(e, s, p) {
+      if (e.gen >= p.maxGen) return;
+      const n = Math.floor(rnd(s, p.count[0], p.count[1] + 1));
+      const base = rnd(s, 0, Math.PI * 2);
+      for (let i = 0; i < n; i++) {
+        const a = base + (i / n) * Math.PI * 2;
+        const pos = e.pos.clone().add(vec3(Math.cos(a) * e.radius, 0, Math.sin(a) * e.radius));
+        pos.y = GROUND_Y;
+        spawnEnemy(s, e.type, pos, { gen: e.gen + 1, affixes: [] }); // i figli non ereditano gli affissi elite
+      }
+    },
+  },
+
+  // kamikaze: vicino al player innesca la miccia (lampeggia), allo scadere esplode; esplode anche se ucciso prima
+  detonate: {
+    init: () => ({ fuse: -1, telegraph: 0 }),
+    update(e, s, dt, ctx, p) {
+      if (e.fuse < 0 && e.pos.distanceTo(s.player.pos) < p.trigger) e.fuse = p.fuse;
+      if (e.fuse < 0) return 0;
+      e.fuse -= dt;
+      e.telegraph = 0.5 + 0.5 * Math.sin((p.fuse - e.fuse) * 40);
+      if (e.fuse <= 0) { e.hp = 0; e.selfDestruct = true; }
+      return 0;
+    },
+    death: (e, s, p) => areaDamage(s, e.pos, p.radius, { player: val(p.damage, s), enemies: val(p.enemyDamage, s) }),
+  },
+
+  // onda d'urto all'atterraggio da un salto (va messo dopo "leap"): danno al player entro radius, saltando si evita
+  slam: {
+    init: () => ({ airborne: false }),
+    update(e, s, dt, ctx, p) {
+      if (e.pos.y > GROUND_Y + 0.05) { e.airborne = true; return 0; }
+      if (!e.airborne) return 0;
+      e.airborne = false;
+      const dmg = areaDamage(s, e.pos, val(p.radius, s), { player: val(p.damage, s) });
+      if (dmg > 0) rollStatus(s, s.player, p.status);
+      return dmg;
+    },
+  },
+
+  // anello di count proiettili a raggiera ogni cooldown s; ogni anello è ruotato di mezzo passo rispetto al precedente
+  ring: {
+    init: (e, s, p) => ({ ringCooldown: p.firstCooldown, ringOffset: 0 }),
+    update(e, s, dt, ctx, p) {
+      e.ringCooldown -= dt;
+      if (e.ringCooldown > 0) return 0;
+      e.ringCooldown = val(p.cooldown, s);
+      const n = val(p.count, s);
+      for (let i = 0; i < n; i++) radialShot(s, e, e.ringOffset + (i / n) * Math.PI * 2, p);
+      e.ringOffset += Math.PI / n;
+      return 0;
+    },
+  },
+
+  // spirale: arms proiettili ogni interval s lungo bracci che ruotano a spin rad/s
+  spiral: {
+    init: () => ({ spiralCooldown: 0, spiralAngle: 0 }),
+    update(e, s, dt, ctx, p) {
+      e.spiralAngle += p.spin * dt;
+      e.spiralCooldown -= dt;
+      if (e.spiralCooldown > 0) return 0;
+      e.spiralCooldown = val(p.interval, s);
+      for (let i = 0; i < p.arms; i++) radialShot(s, e, e.spiralAngle + (i / p.arms) * Math.PI * 2, p);
+      return 0;
+    },
+  },
+
+  // evoca count nemici archetype attorno a sé ogni cooldown s, senza superare max evocati vivi (e.summoner)
+  summon: {
+    init: (e, s, p) => ({ summonCooldown: p.firstCooldown }),
+    update(e, s, dt, ctx, p) {
+      e.summonCooldown -= dt;
+      if (e.summonCooldown > 0) return 0;
+      e.summonCooldown = val(p.cooldown, s);
+      const alive = s.enemies.filter((m) => m.summoner === e.id && m.hp > 0).length;
+      const n = Math.min(val(p.count, s), val(p.max, s) - alive);
+      const base = rnd(s, 0, Math.PI * 2);
+      for (let i = 0; i < n; i++) {
+        const a = base + (i / n) * Math.PI * 2, r = e.radius + 1.5;
+        spawnEnemy(s, p.archetype, vec3(e.pos.x + Math.cos(a) * r, GROUND_Y, e.pos.z + Math.sin(a) * r), { summoner: e.id, affixes: [] });
+      }
+      if (n > 0) s.effects.push({ type: "shockwave", pos: e.pos.clone(), radius: e.radius + 2, age: 0, life: 0.4 });
+      return 0;
+    },
+  },
+
+  // proiettile mirato sul player a cooldown; con telegraph > 0 l'entità "carica" (e.telegraph 0..1) prima di sparare
+  aimedShot: {
+    init: (e, s, p) => ({ shootCooldown: rnd(s, ...p.firstCooldown), telegraph: 0 }),
+    update(e, s, dt, ctx, p) {
+      e.shootCooldown -= dt;
+      if (p.telegraph) e.telegraph = e.shootCooldown < p.telegraph ? Math.min(1, 1 - e.shootCooldown / p.telegraph) : 0;
+      if (e.shootCooldown <= 0) {
+        const dir = s.player.pos.clone().sub(e.pos).normalize();
+        const posB = e.pos.clone().add(dir.clone().multiplyScalar(e.radius + 0.4));
+        const velB = dir.multiplyScalar(val(p.speed, s));
+        s.eBullets.push({ id: s.nextId++, pos: posB, vel: velB, life: p.life, damage: val(p.damage, s), status: p.status });
+        e.shootCooldown = val(p.cooldown, s);
+      }
+    },
+  },
+};
+
+// proiettile orizzontale ad angolo a (anelli, spirali), all'altezza del player a terra: si schiva anche saltando
+function radialShot(s, e, a, p) {
+  const dir = vec3(Math.cos(a), 0, Math.sin(a));
+  const pos = e.pos.clone().addScaledVector(dir, e.radius + 0.4);
+  pos.y = GROUND_Y;
+  s.eBullets.push({ id: s.nextId++, pos, vel: dir.multiplyScalar(val(p.speed, s)), life: p.life, damage: val(p.damage, s), status: p.status });
+}
+
+/* ----------- Archetipi ----------- */
+export const ENEMY_TYPES = {};
+
+export function defineEnemy(def) {
+  ENEMY_TYPES[def.key] = { boss: false, contactDamage: 10, score: 15, xp: 1, behaviors: ["chase"], ...def };
+  return ENEMY_TYPES[def.key];
+}
+
+export const enemyType = (e) => ENEMY_TYPES[e.type] ?? ENEMY_TYPES.grunt;
+
+defineEnemy({
+  key: "grunt",
+  stats: (s) => ({
+    hp: Math.round(18 + (s.wave - 1) * 6 * (0.7 + 0.3 * s.difficulty)),
+    speed: 3 + (s.wave - 1) * 0.2 + s.difficulty * 0.3,
+    radius: 0.9,
+  }),
+  contactDamage: 10,
+  score: 15,
+  xp: 1,
+  behaviors: ["chase"],
+  flankChance: 0.25,
+  drops: { chance: 0.6, ttl: 10, table: [{ type: "heart", upTo: 0.1 }, { type: "shield", upTo: 0.18 }, { type: "xp" }] },
+  look: { shape: "dodecahedron", detail: 0, color: "#ff4060", emissiveIntensity: 0.8, barColor: "#6eff86", barOffset: 0.3 },
+});
+
+// tiratore: resta a distanza e spara colpi annunciati; compare dalla wave 2 (vedi mix in waves.default.json)
+defineEnemy({
+  key: "shooter",
+  stats: (s) => ({
+    hp: Math.round(14 + (s.wave - 1) * 4 * (0.7 + 0.3 * s.difficulty)),
+    speed: 3.2 + (s.wave - 1) * 0.1 + s.difficulty * 0.2,
+    radius: 0.8,
+  }),
+  contactDamage: 6,
+  score: 25,
+  xp: 2,
+  behaviors: ["kite", "aimedShot"],
+  kite: { near: 9, far: 15, strafe: 0.8, strafeSwitch: [1.5, 3.5], aimSlowdown: 0.25, maxRadius: 33 },
+  aimedShot: {
+    firstCooldown: [1.5, 3.0],
+    telegraph: 0.6,
+    life: 3,
+    speed: (s) => 9 + 0.3 * s.wave,
+    damage: (s) => 6 + 2 * s.difficulty,
+    cooldown: (s) => Math.max(1.4, 3.2 - 0.08 * s.wave),
+  },
+  drops: { chance: 0.6, ttl: 10, table: [{ type: "heart", upTo: 0.1 }, { type: "shield", upTo: 0.18 }, { type: "xp" }] },
+  look: { shape: "octahedron", detail: 0, color: "#ff9f1c", emissiveIntensity: 0.9, barColor: "#ffd08a", barOffset: 0.3 },
+});
+
+// charger: carica annunciata da bagliore e linea a terra; compare dalla wave 5
+defineEnemy({
+  key: "charger",
+  stats: (s) => ({
+    hp: Math.round(30 + (s.wave - 1) * 7 * (0.7 + 0.3 * s.difficulty)),
+    speed: 2.6 + (s.wave - 1) * 0.08 + s.difficulty * 0.2,
+    radius: 1.1,
+  }),
+  contactDamage: 10,
+  score: 30,
+  xp: 2,
+  behaviors: ["charge"],
+  charge: {
+    range: 18,
+    firstCooldown: [1.0, 2.0],
+    cooldown: [2.5, 4.0],
+    windup: 0.9,
+    track: 0.7,
+    duration: 0.9,
+    speed: (s) => 20 + 0.3 * s.wave,
+    damage: (s) => 20 + 6 * s.difficulty,
+    wallRadius: 34,
+    wallDamage: 0.5,
+    stun: 1.2,
+  },
+  drops: { chance: 0.7, ttl: 10, table: [{ type: "heart", upTo: 0.12 }, { type: "shield", upTo: 0.22 }, { type: "xp" }] },
+  look: { shape: "box", detail: 0, color: "#d946ef", emissiveIntensity: 0.9, barColor: "#f0abfc", barOffset: 0.35 },
+});
+
+// splitter: alla morte si divide (2-3 figli, poi nipoti); compare dalla wave 3
+defineEnemy({
+  key: "splitter",
+  stats: (s) => ({
+    hp: Math.round(36 + (s.wave - 1) * 8 * (0.7 + 0.3 * s.difficulty)),
+    speed: 2.4 + (s.wave - 1) * 0.12 + s.difficulty * 0.2,
+    radius: 1.3,
+  }),
+  contactDamage: 10,
+  behaviors: ["split", "chase"],
+  split: { count: [2, 3], maxGen: 2, hpScale: 0.45, radiusScale: 0.65, speedScale: 1.3, score: 20, xp: 2, rewardScale: 0.6 },
+  drops: { chance: 0.4, ttl: 10, table: [{ type: "heart", upTo: 0.06 }, { type: "shield", upTo: 0.12 }, { type: "xp" }] },
+  look: { shape: "sphere", detail: 1, color: "#84cc16", emissiveIntensity: 0.8, barColor: "#d9f99d", barOffset: 0.25 },
+});
+
+// bomber: veloce e fragile, esplode vicino al player o quando viene ucciso; compare dalla wave 5
+defineEnemy({
+  key: "bomber",
+  stats: (s) => ({
+    hp: Math.round(8 + (s.wave - 1) * 2 * (0.7 + 0.3 * s.difficulty)),
+    speed: 6.2 + (s.wave - 1) * 0.12 + s.difficulty * 0.3,
+    radius: 0.6,
+  }),
+  contactDamage: 4,
+  score: 20,
+  xp: 1,
+  behaviors: ["chase", "detonate"],
+  flankChance: 0.4,
+  detonate: {
+    trigger: 3,
+    fuse: 0.45,
+    radius: 4.5,
+    damage: (s) => 16 + 6 * s.difficulty,
+    enemyDamage: (s) => 30 + 5 * s.wave,
+  },
+  drops: { chance: 0.3, ttl: 10, table: [{ type: "xp" }] },
+  look: { shape: "tetrahedron", detail: 0, color: "#f43f5e", emissiveIntensity: 1.1, barColor: "#fecdd3", barOffset: 0.2 },
+});
+
+/* ----------- Boss ----------- */
+// roster a rotazione per tier (waves.default.json): Colossus, Warden, Hive Queen
+const BOSS_RESIST = { slow: 0.6, freeze: 0.3, stun: 0.3 };
+
+// The Colossus: insegue e salta; fasi: anelli + onde d'urto agli atterraggi, poi spirale ed evocazioni
+defineEnemy({
+  key: "boss",
+  boss: true,
+  name: "The Colossus",
+  stats: (s) => ({
+    hp: Math.round((260 + 150 * bossTier(s)) * (1 + 0.25 * s.difficulty)),
+    speed: 2.6 + 0.12 * s.wave + 0.25 * s.difficulty,
+    radius: 2.2 + 0.05 * s.wave,
+  }),
+  contactDamage: 25,
+  score: 200,
+  xp: 5,
+  behaviors: ["phases", "chase", "leap", "slam", "aimedShot", "ring", "spiral", "summon"],
+  phases: { thresholds: [0.66, 0.33], transition: 1.2 },
+  leap: {
+    range: 24,
+    gravity: 22,
+    firstCooldown: [1.2, 2.0],
+    cooldown: [1.3, 2.5],
+    jumpSpeed: (s) => 7.8 + 0.2 * s.wave,
+    duration: (s) => 0.55 + Math.min(0.4, 0.02 * s.wave),
+    speed: (s) => 6.5 + 0.22 * s.wave + 0.7 * s.difficulty,
+  },
+  slam: {
+    phases: [1, 2],
+    radius: (s) => 5 + 0.1 * s.wave,
+    damage: (s) => 14 + 4 * s.difficulty,
+    status: [{ key: "slow" }],
+  },
+  aimedShot: {
+    phases: [0, 1],
+    firstCooldown: [0.5, 1.0],
+    life: 3.5,
+    speed: (s) => 7 + 0.65 * s.wave + 0.75 * s.difficulty,
+    damage: (s) => 18 + 4 * s.difficulty,
+    cooldown: (s) => Math.max(0.4, 1.7 / (1 + 0.08 * s.wave + 0.25 * s.difficulty)),
+  },
+  ring: {
+    phases: [1],
+    firstCooldown: 0.5,
+    life: 5,
+    count: (s) => 12 + 2 * Math.floor(s.wave / 5),
+    speed: (s) => 7 + 0.2 * s.wave,
+    damage: (s) => 10 + 3 * s.difficulty,
+    cooldown: (s) => Math.max(1.4, 2.8 - 0.06 * s.wave),
+  },
+  spiral: {
+    phases: [2],
+    arms: 3,
+    spin: 1.7,
+    life: 5,
+    interval: (s) => Math.max(0.12, 0.2 - 0.004 * s.wave),
+    speed: (s) => 6.5 + 0.15 * s.wave,
+    damage: (s) => 8 + 2 * s.difficulty,
+  },
+  summon: {
+    phases: [2],
+    archetype: "grunt",
+    firstCooldown: 0.8,
+    count: 3,
+    max: (s) => 4 + Math.floor(s.wave / 5),
+    cooldown: 7,
+  },
+  statusResist: BOSS_RESIST,
+  drops: { chance: 1.0, ttl: 18, table: [{ type: "heart", upTo: 0.4 }, { type: "shield", upTo: 0.7 }, { type: "xp" }] },
+  look: { shape: "icosahedron", detail: 1, color: "#ffd166", phaseColors: ["#ffd166", "#ff9f43", "#ff4d6d"], emissiveIntensity: 1.2, barColor: "#ffd166", barOffset: 0.6 },
+});
+
+// The Warden: gira attorno al player a distanza con colpi annunciati; fasi: cariche e anelli, poi spirale a 4 bracci
+defineEnemy({
+  key: "warden",
+  boss: true,
+  name: "The Warden",
+  stats: (s) => ({
+    hp: Math.round((230 + 140 * bossTier(s)) * (1 + 0.25 * s.difficulty)),
+    speed: 4 + 0.1 * s.wave + 0.25 * s.difficulty,
+    radius: 2 + 0.04 * s.wave,
+  }),
+  contactDamage: 20,
+  score: 220,
+  xp: 6,
+  behaviors: ["phases", "kite", "charge", "aimedShot", "ring", "spiral"],
+  phases: { thresholds: [0.66, 0.33], transition: 1.2 },
+  kite: { near: 10, far: 16, strafe: 1, strafeSwitch: [2, 4], aimSlowdown: 0.2, maxRadius: 30 },
+  charge: {
+    phases: [1, 2],
+    range: 26,
+    firstCooldown: [0.6, 1.0],
+    cooldown: [3.0, 4.5],
+    windup: 1.0,
+    track: 0.7,
+    duration: 0.8,
+    speed: (s) => 22 + 0.3 * s.wave,
+    damage: (s) => 24 + 6 * s.difficulty,
+    status: [{ key: "stun", duration: 0.6 }],
+    wallRadius: 34,
+    wallDamage: 0.03,
+    stun: 1.5,
+  },
+  aimedShot: {
+    phases: [0],
+    firstCooldown: [0.8, 1.2],
+    telegraph: 0.4,
+    life: 3.5,
+    speed: (s) => 10 + 0.5 * s.wave + 0.5 * s.difficulty,
+    damage: (s) => 14 + 4 * s.difficulty,
+    cooldown: (s) => Math.max(0.5, 1.2 - 0.02 * s.wave),
+  },
+  ring: {
+    phases: [1, 2],
+    firstCooldown: 1.0,
+    life: 5,
+    count: (s) => 16 + 2 * Math.floor(s.wave / 5),
+    speed: (s) => 6.5 + 0.15 * s.wave,
+    damage: (s) => 10 + 3 * s.difficulty,
+    cooldown: (s) => Math.max(1.8, 3.2 - 0.06 * s.wave),
+  },
+  spiral: {
+    phases: [2],
+    arms: 4,
+    spin: -1.3,
+    life: 5,
+    interval: (s) => Math.max(0.16, 0.26 - 0.004 * s.wave),
+    speed: (s) => 6 + 0.15 * s.wave,
+    damage: (s) => 8 + 2 * s.difficulty,
+  },
+  statusResist: BOSS_RESIST,
+  drops: { chance: 1.0, ttl: 18, table: [{ type: "heart", upTo: 0.4 }, { type: "shield", upTo: 0.7 }, { type: "xp" }] },
+  look: { shape: "torus", detail: 1, color: "#38bdf8", phaseColors: ["#38bdf8", "#818cf8", "#e879f9"], emissiveIntensity: 1.2, barColor: "#7dd3fc", barOffset: 0.6 },
+});
+
+// The Hive Queen: lenta e massiccia, evoca bomber (che esplodendo feriscono anche lei); fasi: spirale, poi anelli
+defineEnemy({
+  key: "hive",
+  boss: true,
+  name: "The Hive Queen",
+  stats: (s) => ({
+    hp: Math.round((300 + 170 * bossTier(s)) * (1 + 0.25 * s.difficulty)),
+    speed: 1.8 + 0.08 * s.wave + 0.2 * s.difficulty,
+    radius: 2.6 + 0.05 * s.wave,
+  }),
+  contactDamage: 30,
+  score: 240,
+  xp: 6,
+  behaviors: ["phases", "chase", "summon", "aimedShot", "spiral", "ring"],
+  phases: { thresholds: [0.66, 0.33], transition: 1.4 },
+  summon: {
+    archetype: "bomber",
+    firstCooldown: 2.0,
+    count: (s) => 2 + bossTier(s),
+    max: (s) => 4 + 2 * bossTier(s),
+    cooldown: (s) => Math.max(3.5, 6 - 0.1 * s.wave),
+  },
+  aimedShot: {
+    phases: [0, 1],
+    firstCooldown: [1.0, 1.5],
+    life: 4,
+    speed: (s) => 8 + 0.4 * s.wave + 0.5 * s.difficulty,
+    damage: (s) => 16 + 4 * s.difficulty,
+    cooldown: (s) => Math.max(0.6, 1.6 - 0.03 * s.wave),
+  },
+  spiral: {
+    phases: [1, 2],
+    arms: 2,
+    spin: 2.2,
+    life: 5,
+    interval: (s) => Math.max(0.1, 0.16 - 0.003 * s.wave),
+    speed: (s) => 5.5 + 0.15 * s.wave,
+    damage: (s) => 8 + 2 * s.difficulty,
+    status: [{ key: "poison" }],
+  },
+  ring: {
+    phases: [2],
+    firstCooldown: 0.8,
+    life: 5,
+    count: (s) => 10 + 2 * Math.floor(s.wave / 5),
+    speed: (s) => 8 + 0.2 * s.wave,
+    damage: (s) => 12 + 3 * s.difficulty,
+    cooldown: (s) => Math.max(1.5, 2.6 - 0.05 * s.wave),
+  },
+  statusResist: BOSS_RESIST,
+  drops: { chance: 1.0, ttl: 18, table: [{ type: "heart", upTo: 0.4 }, { type: "shield", upTo: 0.7 }, { type: "xp" }] },
+  look: { shape: "dodecahedron", detail: 1, color: "#c084fc", phaseColors: ["#c084fc", "#f472b6", "#fb7185"], emissiveIntensity: 1.2, barColor: "#e9d5ff", barOffset: 0.6 },
+});
+
+/* ----------- Spawn / update / drop ----------- */
+// extra: campi iniziali dell'entità, visibili agli init dei behaviour (es. { gen } per split);
+// i non boss senza extra.affixes possono uscire elite (affixes.js)
+export function spawnEnemy(s, key, pos, extra) {
+  const def = ENEMY_TYPES[key];
+  const { hp, speed, radius } = def.stats(s);
+  const e = { id: s.nextId++, type: key, pos, hp, maxHp: hp, radius, speed, ...extra };
+  for (const name of def.behaviors) {
+    const b = BEHAVIORS[name];
+    if (b?.init) Object.assign(e, b.init(e, s, def[name] ?? {}));
+  }
+  if (s.flanking && def.flankChance) e.flank = random(s) < def.flankChance;
+  if (!def.boss && !e.affixes) rollAffixes(s, e);
+  if (def.statusResist) e.resist = def.statusResist;
+  s.enemies.push(e);
+  emit(s, "enemySpawned", { id: e.id, archetype: key, boss: def.boss, affixes: e.affixes ?? [] });
+  if (def.boss) emit(s, "bossSpawned", { id: e.id, archetype: key, name: def.name ?? key, wave: s.wave });
+  return e;
+}
+
+// direzione verso cui muoversi (ctx.toP): il player o, per chi fiancheggia (e.flank, se s.flanking),
+// un punto alle spalle della camera, passando di lato se è ancora davanti
+const FLANK_DIST = 6;
+const FLANK_REACHED = 2.5;
+function approachDir(e, s, out) {
+  const p = s.player.pos;
+  out.set(p.x - e.pos.x, 0, p.z - e.pos.z);
+  if (e.flank && s.flanking) {
+    const fx = -Math.sin(s.player.yaw), fz = -Math.cos(s.player.yaw); // avanti della camera
+    const bx = p.x - fx * FLANK_DIST, bz = p.z - fz * FLANK_DIST;
+    if (Math.hypot(bx - e.pos.x, bz - e.pos.z) < FLANK_REACHED) e.flank = false; // arrivato: da qui attacca diretto
+    else if (-out.x * fx - out.z * fz > 0) {
+      // davanti al player: punta di lato (dalla parte in cui si trova già) per non passargli attraverso
+      const rx = -fz, rz = fx; // destra della camera
+      const side = -out.x * rx - out.z * rz > 0 ? 1 : -1;
+      out.set(p.x + side * rx * FLANK_DIST - e.pos.x, 0, p.z + side * rz * FLANK_DIST - e.pos.z);
+    } else out.set(bx - e.pos.x, 0, bz - e.pos.z);
+  }
+  if (out.lengthSq() > 0) out.normalize();
+  return out;
+}
+
+export function updateEnemy(e, s, dt) {
+  const def = enemyType(e);
+  const ctx = { toP: approachDir(e, s, vec3()) };
+  // impatti dei proiettili (hitImpact): spinta smorzata, stordimento, lampo
+  if (e.knock) {
+    e.pos.addScaledVector(e.knock, dt);
+    e.knock.multiplyScalar(Math.exp(-KNOCK_DRAG * dt));
+    if (e.knock.lengthSq() < 1e-4) delete e.knock;
+  }
+  if (e.hitFlash > 0) e.hitFlash = Math.max(0, e.hitFlash - 10 * dt);
+  const stun = Math.min(dt, e.hitStun || 0); // anche frazioni di tick: i boss perdono pochi ms per colpo
+  if (stun > 0) e.hitStun -= stun;
+  const sdt = (dt - stun) * statusTimeScale(e);
+  let dmg = 0;
+  for (const name of def.behaviors) {
+    const b = BEHAVIORS[name], p = def[name] ?? {};
+    if (!b?.update || ((e.invulnerable > 0 || sdt === 0) && !b.always) || (p.phases && !p.phases.includes(e.phase ?? 0))) continue;
+    dmg += b.update(e, s, b.always ? dt : sdt, ctx, p) || 0;
+  }
+  affixesUpdate(e, s, dt);
+  return dmg;
+}
+
+/* ----------- Impatti ----------- */
+// peso nelle collisioni e negli impatti: i piccoli contano come massa 1, i boss quasi non si spostano
+export const enemyMass = (e) => enemyType(e).mass ?? e.radius ** 3;
+
+const KNOCK_DRAG = 10; // smorzamento della spinta (1/s): spostamento totale ≈ force / KNOCK_DRAG
+
+// colpo di un proiettile: spinta lungo dir (orizzontale), breve stordimento e lampo bianco, scalati sulla massa
+export function hitImpact(e, dir, { force, stun }) {
+  const k = 1 / Math.max(1, enemyMass(e));
+  const len = Math.hypot(dir.x, dir.z) || 1;
+  (e.knock ??= vec3()).x += (dir.x / len) * force * k;
+  e.knock.z += (dir.z / len) * force * k;
+  e.hitStun = Math.max(e.hitStun ?? 0, stun * k);
+  e.hitFlash = 1;
+}
+
+// effetti di morte dei behaviour (split...), dopo che il nemico è stato rimosso dal world
+export function enemyDeath(e, s) {
+  const def = enemyType(e);
+  let dmg = 0;
+  for (const name of def.behaviors) dmg += BEHAVIORS[name]?.death?.(e, s, def[name] ?? {}) || 0;
+  return dmg;
+}
+
+// tipo di pickup lasciato alla morte (o null), secondo la drop table dell'archetipo;
+// elite: drop garantito, estratto solo tra le righe con upTo (le più rare), se ce ne sono
+export function rollDrop(s, def, elite = false) {
+  const d = def.drops;
+  if (!d) return null;
+  const rare = d.table.filter((row) => row.upTo !== undefined);
+  const roll = random(s) * (elite && rare.length ? rare[rare.length - 1].upTo : 1);
+  if (!elite && roll >= d.chance) return null;
+  return (d.table.find((row) => row.upTo === undefined || roll < row.upTo) ?? d.table[d.table.length - 1]).type;
+}
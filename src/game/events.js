@@ -0,0 +1,53 @@
+/**
+ * events — eventi emessi dalla simulazione, per UI, audio, statistiche, achievement...
+ *  - stepWorld accoda in s.events gli eventi del tick ({ type, time, ...payload }); la coda riparte da vuota a ogni tick
+ *  - createEventBus(): chi vuole ascoltare si iscrive con on(type, fn) (o on("*", fn));
+ *    il client inoltra la coda al bus dopo ogni tick (vedi store.step)
+ * La simulazione non chiama mai i listener: niente effetti collaterali dentro stepWorld.
+ */
+
+/**
+ * @typedef {{ type: "enemySpawned", time: number, id: number, archetype: string, boss: boolean, affixes: string[] }} EnemySpawnedEvent
+ * @typedef {{ type: "bossSpawned", time: number, id: number, archetype: string, name: string, wave: number }} BossSpawnedEvent
+ * @typedef {{ type: "bossPhase", time: number, id: number, archetype: string, phase: number }} BossPhaseEvent
+ * @typedef {{ type: "enemyHit", time: number, id: number, archetype: string, boss: boolean, damage: number }} EnemyHitEvent
+ * @typedef {{ type: "enemyKilled", time: number, id: number, archetype: string, boss: boolean, elite: boolean, pos: import("three").Vector3, score: number, xp: number }} EnemyKilledEvent
+ * @typedef {{ type: "playerDamaged", time: number, amount: number, hp: number }} PlayerDamagedEvent
+ * @typedef {{ type: "pickupCollected", time: number, pickup: string, pos: import("three").Vector3 }} PickupCollectedEvent
+ * @typedef {{ type: "levelUp", time: number, level: number, choices: string[] }} LevelUpEvent
+ * @typedef {{ type: "waveChanged", time: number, wave: number, from: number }} WaveChangedEvent
+ * @typedef {{ type: "gameOver", time: number, score: number, wave: number, level: number }} GameOverEvent
+ * @typedef {EnemySpawnedEvent | BossSpawnedEvent | BossPhaseEvent | EnemyHitEvent | EnemyKilledEvent | PlayerDamagedEvent | PickupCollectedEvent | LevelUpEvent | WaveChangedEvent | GameOverEvent} GameEvent
+ */
+
+export const EVENT_TYPES = Object.freeze([
+  "enemySpawned", "bossSpawned", "bossPhase", "enemyHit", "enemyKilled", "playerDamaged", "pickupCollected", "levelUp", "waveChanged", "gameOver",
+]);
+
+// accoda un evento del tick corrente
+export function emit(s, type, payload) {
+  s.events?.push({ type, time: s.time, ...payload });
+}
+
+export function createEventBus() {
+  const listeners = new Map();
+  const bus = {
+    /** @param {GameEvent["type"] | "*"} type @param {(ev: GameEvent) => void} fn */
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(fn);
+      return () => listeners.get(type).delete(fn);
+    },
+    /** @param {GameEvent[]} events */
+    dispatch(events) {
+      for (const ev of events) {
+        for (const key of [ev.type, "*"]) {
+          for (const fn of listeners.get(key) ?? []) {
+            try { fn(ev); } catch (err) { console.error(`[events] ${ev.type} listener failed`, err); }
+          }
+        }
+      }
+    },
+  };
+  return bus;
+}
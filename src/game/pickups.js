@@ -0,0 +1,28 @@
+import { clamp } from "./util.js";
+
+/**
+ * pickups — registro dei tipi di pickup (quelli lasciati dai nemici, vedi drops in enemies.js)
+ *
+ * Tipo:
+ *  - key: string                 -> il `type` del pickup e delle drop table
+ *  - color: string               -> colore dell'istanza nel rendering
+ *  - collect(s, p): void         -> effetto alla raccolta, modifica il world in place
+ */
+
+export const PICKUP_TYPES = {};
+
+export function definePickup(def) {
+  PICKUP_TYPES[def.key] = { color: "#ffffff", collect: () => {}, ...def };
+  return PICKUP_TYPES[def.key];
+}
+
+const heal = (s, n) => { s.player.hp = clamp(s.player.hp + n, 0, s.player.maxHp); };
+
+definePickup({ key: "xp", color: "#66ff99", collect: (s) => { s.xp += 1; } });
+definePickup({ key: "heart", color: "#ff6fa0", collect: (s) => heal(s, 15) });
+definePickup({ key: "shield", color: "#6f9bff", collect: (s) => heal(s, 8) });
+
+// tipi sconosciuti (save con mod non più caricate) vengono raccolti senza effetto
+export function collectPickup(s, p) {
+  PICKUP_TYPES[p.type]?.collect(s, p);
+}
@@ -0,0 +1,77 @@
+import { vec3 } from "./util.js";
+import { random, rnd } from "./rng.js";
+import { defineUpgrade } from "./upgrades.js";
+import { definePickup } from "./pickups.js";
+import { BEHAVIORS, defineEnemy, spawnEnemy } from "./enemies.js";
+import { defineStatus, applyStatus } from "./status.js";
+import { defineWeapon } from "./weapons.js";
+
+/**
+ * plugins — API per aggiungere contenuti senza toccare il core
+ *  - registerUpgrade(def)          -> upgrade nel pool del level up (vedi upgrades.js)
+ *  - registerPickup(def)           -> tipo di pickup, usabile nelle drop table (vedi pickups.js)
+ *  - registerEnemy(def)            -> archetipo nemico (vedi enemies.js), spawnabile da script wave o hook
+ *  - registerBehavior(name, b)     -> behaviour riusabile dagli archetipi ({ init?, update })
+ *  - registerStatus(def)           -> effetto di stato (vedi status.js), applicabile con applyStatus(target, key)
+ *  - registerWeapon(def)           -> arma del player (vedi weapons.js), selezionabile col suo slot
+ *  - hook: onEnemyKilled(fn), onPlayerHit(fn), onWaveStart(fn) -> ritornano la funzione per rimuoverli
+ *
+ * Una mod è un ES module il cui export default riceve MOD_API: export default (api) => { api.registerPickup(...) }.
+ * Registri e hook sono globali al modulo: le mod vanno caricate prima di creare il world, e un seed
+ * riproduce la stessa run solo con le stesse mod.
+ */
+
+/* ----------- Hook ----------- */
+// onEnemyKilled(s, e, def)            -> nemico rimosso dal world (prima del drop)
+// onPlayerHit(s, damage, source)      -> danno al player; source: proiettile nemico o nemico a contatto
+// onWaveStart(s, wave)                -> primo tick di ogni wave, prima degli spawn
+const HOOKS = { onEnemyKilled: [], onPlayerHit: [], onWaveStart: [] };
+
+function addHook(name, fn) {
+  HOOKS[name].push(fn);
+  return () => { HOOKS[name] = HOOKS[name].filter((f) => f !== fn); };
+}
+
+export const onEnemyKilled = (fn) => addHook("onEnemyKilled", fn);
+export const onPlayerHit = (fn) => addHook("onPlayerHit", fn);
+export const onWaveStart = (fn) => addHook("onWaveStart", fn);
+
+// chiamato dalla simulazione; l'errore di una mod non deve fermare la partita
+export function runHooks(name, ...args) {
+  for (const fn of HOOKS[name]) {
+    try { fn(...args); } catch (err) { console.error(`[mod] ${name} hook failed`, err); }
+  }
+}
+
+/* ----------- Registri ----------- */
+export const registerUpgrade = defineUpgrade;
+export const registerPickup = definePickup;
+export const registerEnemy = defineEnemy;
+export const registerStatus = defineStatus;
+export const registerWeapon = defineWeapon;
+export function registerBehavior(name, b) {
+  BEHAVIORS[name] = b;
+  return b;
+}
+
+export const MOD_API = Object.freeze({
+  registerUpgrade, registerPickup, registerEnemy, registerBehavior, registerStatus, registerWeapon,
+  onEnemyKilled, onPlayerHit, onWaveStart,
+  spawnEnemy, applyStatus, vec3, random, rnd, // per spawn e casualità deterministici senza importare moduli del gioco
+});
+
+/* ----------- Caricamento ----------- */
+// loaders: funzioni () => import(...) di moduli inclusi nel bundle (vedi main.jsx); una mod che fallisce viene saltata
+export async function loadMods(loaders) {
+  const loaded = [];
+  for (const src of loaders) {
+    try {
+      const mod = await src();
+      if (typeof mod.default === "function") await mod.default(MOD_API);
+      loaded.push(src);
+    } catch (err) {
+      console.error("[mod] failed to load", src, err);
+    }
+  }
+  return loaded;
+}
@@ -0,0 +1,120 @@
+import { TICK } from "./clock.js";
+import { createWorld, stepWorld, EMPTY_INPUT } from "./world.js";
+import { chooseUpgrade } from "./upgrades.js";
+import { serializeWorld, deserializeWorld } from "./serialize.js";
+import { WEAPONS } from "./weapons.js";
+
+/**
+ * replay — registrazione degli input di una run e riproduzione deterministica
+ *  - una run dipende solo da parametri iniziali (seed, difficoltà, flanking, script wave), input per tick e upgrade scelti:
+ *    la registrazione salva solo quelli, il player li ridà in pasto a stepWorld
+ *  - createRecording(world) all'inizio della run, recordTick(rec, input) per ogni tick eseguito,
+ *    recordChoice(rec, key) quando si sceglie un upgrade
+ *  - createReplayPlayer(rec): world ricostruito tick per tick (stepReplay), seekReplay(p, tick) per lo scrubbing
+ *    (riparte dal checkpoint più vicino, uno ogni CHECKPOINT_EVERY tick)
+ *
+ * File: { version, seed, difficulty, flanking, waves, ticks, inputs: [[n, moveX, moveZ, yaw, pitch, bits, weapon?], ...], choices: [[tick, key], ...] }
+ *  - inputs è run-length: n tick consecutivi con lo stesso input; bits = fire | dash << 1 | jump << 2;
+ *    weapon: chiave dell'arma richiesta nei tick di cambio arma (dalla versione 2; "" o assente: nessun cambio)
+ *  - choices[i]: upgrade applicato dopo `tick` tick eseguiti
+ */
+
+export const REPLAY_VERSION = 2;
+const SUPPORTED = [1, 2]; // la 1 non ha il cambio arma
+
+const FIRE = 1, DASH = 2, JUMP = 4;
+const CHECKPOINT_EVERY = 600; // 10 s di simulazione
+
+/* ----------- Registrazione ----------- */
+export function createRecording(w) {
+  return { version: REPLAY_VERSION, seed: w.seed, difficulty: w.difficulty, flanking: w.flanking, waves: w.waves, ticks: 0, inputs: [], choices: [] };
+}
+
+export function recordTick(rec, input) {
+  const row = [
+    input.move?.x || 0, input.move?.z || 0, input.yaw || 0, input.pitch || 0,
+    (input.fire ? FIRE : 0) | (input.dash ? DASH : 0) | (input.jump ? JUMP : 0),
+    input.weapon || "",
+  ];
+  const last = rec.inputs[rec.inputs.length - 1];
+  if (last && row.every((v, i) => v === last[i + 1])) last[0]++;
+  else rec.inputs.push([1, ...row]);
+  rec.ticks++;
+}
+
+export function recordChoice(rec, key) {
+  rec.choices.push([rec.ticks, key]);
+}
+
+// parse + controllo minimo di un file di replay
+export function parseReplay(text) {
+  const rec = typeof text === "string" ? JSON.parse(text) : text;
+  if (!rec || !SUPPORTED.includes(rec.version) || !Array.isArray(rec.inputs) || !Array.isArray(rec.choices)) throw new Error("Unsupported replay file");
+  const ticks = rec.inputs.reduce((n, row) => n + row[0], 0);
+  if (ticks !== rec.ticks) throw new Error("Corrupted replay: tick count mismatch");
+  return rec;
+}
+
+/* ----------- Riproduzione ----------- */
+export function createReplayPlayer(rec) {
+  // indice di run per ogni tick (per seek e lettura in O(1))
+  const runOf = new Uint32Array(rec.ticks);
+  let t = 0;
+  rec.inputs.forEach((row, r) => { runOf.fill(r, t, t + row[0]); t += row[0]; });
+  const choicesAt = new Map();
+  for (const [tick, key] of rec.choices) choicesAt.set(tick, [...(choicesAt.get(tick) ?? []), key]);
+
+  const p = {
+    rec, runOf, choicesAt,
+    world: null, tick: 0,
+    input: { move: { x: 0, z: 0 }, yaw: 0, pitch: 0, fire: false, dash: false, jump: false, weapon: null },
+    checkpoints: new Map(),
+    playing: true, speed: 1,
+  };
+  restart(p);
+  return p;
+}
+
+function restart(p) {
+  const { seed, difficulty, flanking, waves } = p.rec;
+  p.world = createWorld({ seed, difficulty, flanking, ...(waves ? { waves } : {}) });
+  p.tick = 0;
+  applyChoices(p);
+}
+
+function applyChoices(p) {
+  for (const key of p.choicesAt.get(p.tick) ?? []) p.world = chooseUpgrade(p.world, key);
+}
+
+function readInput(p, tick) {
+  const [, x, z, yaw, pitch, bits, weapon] = p.rec.inputs[p.runOf[tick]];
+  const i = p.input;
+  i.move.x = x; i.move.z = z; i.yaw = yaw; i.pitch = pitch;
+  i.fire = !!(bits & FIRE); i.dash = !!(bits & DASH); i.jump = !!(bits & JUMP);
+  i.weapon = WEAPONS[weapon] ? weapon : null;
+  return i;
+}
+
+// un tick registrato; false a registrazione finita
+export function stepReplay(p) {
+  if (p.tick >= p.rec.ticks) return false;
+  p.world = stepWorld(p.world, readInput(p, p.tick), TICK);
+  p.tick++;
+  applyChoices(p);
+  if (p.tick % CHECKPOINT_EVERY === 0 && !p.checkpoints.has(p.tick)) p.checkpoints.set(p.tick, serializeWorld(p.world));
+  return true;
+}
+
+export function seekReplay(p, tick) {
+  tick = Math.max(0, Math.min(p.rec.ticks, Math.round(tick)));
+  const from = Math.floor(tick / CHECKPOINT_EVERY) * CHECKPOINT_EVERY;
+  if (tick < p.tick || from > p.tick) {
+    const cp = p.checkpoints.get(from);
+    if (cp) { p.world = deserializeWorld(cp); p.tick = from; }
+    else if (tick < p.tick) restart(p);
+  }
+  while (p.tick < tick) stepReplay(p);
+  if (p.tick === 0) Object.assign(p.input, EMPTY_INPUT, { move: { x: 0, z: 0 }, weapon: null });
+  else readInput(p, p.tick - 1);
+  return p;
+}
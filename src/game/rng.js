@@ -0,0 +1,28 @@
+/**
+ * rng — PRNG seedabile (mulberry32) con stato intero salvato nel world (`s.rng`),
+ * così una run è riproducibile a partire dal solo seed.
+ */
+
+// avanza lo stato di `s.rng` e ritorna un numero in [0, 1)
+export function random(s) {
+  let t = (s.rng = (s.rng + 0x6d2b79f5) >>> 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export const rnd = (s, a, b) => random(s) * (b - a) + a;
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// "12345" -> 12345, qualsiasi altra stringa -> hash FNV-1a
+export function parseSeed(text) {
+  const str = String(text ?? "").trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,47 @@
+import { vec3 } from "./util.js";
+import { createWorld } from "./world.js";
+
+/**
+ * serialize — world <-> oggetto JSON-safe (salvataggio della run)
+ *  - i THREE.Vector3 diventano { $v3: [x, y, z] } e tornano Vector3 in deserializeWorld
+ *  - prevPos (solo rendering) e la coda events non vengono salvati
+ *  - i campi mancanti (save di versioni precedenti) prendono i default di createWorld
+ */
+
+export const SAVE_VERSION = 1;
+
+const SKIP = new Set(["prevPos", "events"]);
+
+function pack(v) {
+  if (v?.isVector3) return { $v3: [v.x, v.y, v.z] };
+  if (Array.isArray(v)) return v.map(pack);
+  if (v && typeof v === "object") {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) if (!SKIP.has(k)) out[k] = pack(x);
+    return out;
+  }
+  return v;
+}
+
+function unpack(v) {
+  if (Array.isArray(v)) return v.map(unpack);
+  if (v && typeof v === "object") {
+    if (Array.isArray(v.$v3)) return vec3(...v.$v3);
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = unpack(x);
+    return out;
+  }
+  return v;
+}
+
+export function serializeWorld(w) {
+  return { version: SAVE_VERSION, world: pack(w) };
+}
+
+export function deserializeWorld(data) {
+  if (!data || data.version !== SAVE_VERSION || !data.world) throw new Error("Unsupported save data");
+  const w = unpack(data.world);
+  const base = createWorld({ difficulty: w.difficulty, seed: w.seed });
+  for (const e of w.enemies ?? []) e.type ??= e.isBoss ? "boss" : "grunt"; // save precedenti agli archetipi
+  return { ...base, ...w, player: { ...base.player, ...w.player } };
+}
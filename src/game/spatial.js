@@ -0,0 +1,49 @@
+/**
+ * spatial — griglia uniforme (spatial hash) sul piano XZ dell'arena per la broadphase delle collisioni
+ *  - ogni entità è inserita solo nella cella del suo centro (come indice nell'array di origine)
+ *  - le query allargano il raggio del maxRadius inserito, quindi anche il boss viene trovato
+ *  - le posizioni fuori dall'arena finiscono nelle celle di bordo: il test di distanza resta a chi chiama
+ */
+
+export function createGrid(halfSize = 36, cellSize = 3) {
+  const dim = Math.ceil((halfSize * 2) / cellSize);
+  return { halfSize, cellSize, dim, cells: Array.from({ length: dim * dim }, () => []), used: [], maxRadius: 0 };
+}
+
+const cellOf = (g, v) => Math.max(0, Math.min(g.dim - 1, Math.floor((v + g.halfSize) / g.cellSize)));
+
+export function gridClear(g) {
+  for (const c of g.used) g.cells[c].length = 0;
+  g.used.length = 0;
+  g.maxRadius = 0;
+}
+
+export function gridInsert(g, index, pos, radius = 0) {
+  const c = cellOf(g, pos.z) * g.dim + cellOf(g, pos.x);
+  if (g.cells[c].length === 0) g.used.push(c);
+  g.cells[c].push(index);
+  if (radius > g.maxRadius) g.maxRadius = radius;
+}
+
+// ricostruisce la griglia da una lista di entità con pos (e radius opzionale)
+export function gridBuild(g, items) {
+  gridClear(g);
+  for (let i = 0; i < items.length; i++) gridInsert(g, i, items[i].pos, items[i].radius || 0);
+  return g;
+}
+
+// indici dei candidati entro r da (x, z), in ordine crescente (stesso ordine dell'array di origine)
+export function gridQuery(g, x, z, r, out = []) {
+  out.length = 0;
+  const reach = r + g.maxRadius;
+  const x0 = cellOf(g, x - reach), x1 = cellOf(g, x + reach);
+  const z0 = cellOf(g, z - reach), z1 = cellOf(g, z + reach);
+  for (let cz = z0; cz <= z1; cz++) {
+    for (let cx = x0; cx <= x1; cx++) {
+      const cell = g.cells[cz * g.dim + cx];
+      for (let i = 0; i < cell.length; i++) out.push(cell[i]);
+    }
+  }
+  if (out.length > 1) out.sort((a, b) => a - b);
+  return out;
+}
@@ -0,0 +1,46 @@
+import { DIFFICULTY_NAMES } from "./constants.js";
+
+/**
+ * stats — contatori della run aggiornati da stepWorld (s.stats) e report finale
+ */
+
+export function createStats() {
+  return {
+    kills: {},          // per tipo di nemico
+    bossKills: 0,
+    eliteKills: 0,
+    shotsFired: 0,
+    shotsHit: 0,        // proiettili che hanno colpito almeno un nemico
+    damageDealt: 0,
+    damageTaken: 0,
+    pickups: {},        // per tipo di pickup
+    dashes: 0,
+  };
+}
+
+export const bump = (counts, key, n = 1) => { counts[key] = (counts[key] || 0) + n; };
+
+// report JSON della run (Game Over: copia / download)
+export function runReport(w) {
+  const st = w.stats;
+  return {
+    seed: w.seed,
+    difficulty: DIFFICULTY_NAMES[w.difficulty] ?? w.difficulty,
+    score: w.score,
+    wave: w.wave,
+    level: w.level,
+    timeSurvived: Math.round(w.time * 10) / 10,
+    kills: { ...st.kills },
+    totalKills: Object.values(st.kills).reduce((a, b) => a + b, 0),
+    bossKills: st.bossKills,
+    eliteKills: st.eliteKills ?? 0,
+    shotsFired: st.shotsFired,
+    shotsHit: st.shotsHit,
+    accuracy: st.shotsFired > 0 ? Math.round((st.shotsHit / st.shotsFired) * 1000) / 10 : 0,
+    damageDealt: Math.round(st.damageDealt),
+    damageTaken: Math.round(st.damageTaken),
+    pickups: { ...st.pickups },
+    dashes: st.dashes,
+    upgrades: [...w.upgrades],
+  };
+}
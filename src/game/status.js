@@ -0,0 +1,104 @@
+import { random } from "./rng.js";
+
+/**
+ * status — effetti nel tempo su nemici e player (target.status: { [key]: { time, stacks } })
+ *
+ * Effetto:
+ *  - name, color                 -> tinta nel rendering e chip nell'HUD
+ *  - duration: secondi           -> riapplicando, la durata riparte (al massimo tra residua e nuova)
+ *  - maxStacks?: number          -> stack sommati a ogni applicazione fino a maxStacks (default 1)
+ *  - dps?: number                -> danno al secondo per stack
+ *  - timeScale?: number          -> rallenta il target (0: fermo, vedi statusTimeScale)
+ *  - disables?: true             -> niente behaviour / movimento, sparo e dash del player
+ *  - damageTaken?: number        -> moltiplicatore dei danni subiti, per stack
+ *  - cancels?: string[]          -> effetti rimossi quando questo viene applicato (fuoco e gelo si annullano)
+ * target.resist?: { [key]: number } riduce la durata (i boss resistono a gelo e stordimento, vedi statusResist in enemies.js).
+ * Fonti: proiettili del player (s.player.hitEffects, dagli upgrade) e attacchi nemici (params.status dei behaviour).
+ */
+
+export const STATUS_EFFECTS = {};
+
+export function defineStatus(def) {
+  STATUS_EFFECTS[def.key] = { maxStacks: 1, ...def };
+  return STATUS_EFFECTS[def.key];
+}
+
+defineStatus({ key: "burn", name: "Burn", color: "#fb923c", duration: 3, dps: 6, cancels: ["freeze"] });
+defineStatus({ key: "poison", name: "Poison", color: "#a3e635", duration: 5, dps: 2.5, maxStacks: 5 });
+defineStatus({ key: "slow", name: "Slow", color: "#7dd3fc", duration: 2.5, timeScale: 0.55 });
+defineStatus({ key: "freeze", name: "Freeze", color: "#e0f2fe", duration: 1.5, timeScale: 0, disables: true, cancels: ["burn"] });
+defineStatus({ key: "stun", name: "Stun", color: "#fde047", duration: 0.8, timeScale: 0, disables: true });
+defineStatus({ key: "vulnerable", name: "Vulnerable", color: "#f472b6", duration: 4, damageTaken: 1.3 });
+
+// effetti sconosciuti (save con mod non più caricate) vengono ignorati
+const each = (t, fn) => {
+  for (const key in t.status ?? {}) if (STATUS_EFFECTS[key]) fn(STATUS_EFFECTS[key], t.status[key], key);
+};
+
+// opts: { duration?, stacks? }; ritorna false se il target è immune (resist 0, invulnerabile)
+export function applyStatus(t, key, { duration, stacks = 1 } = {}) {
+  const def = STATUS_EFFECTS[key];
+  if (!def || t.invulnerable > 0) return false;
+  const time = (duration ?? def.duration) * (t.resist?.[key] ?? 1);
+  if (time <= 0) return false;
+  t.status ??= {};
+  for (const c of def.cancels ?? []) delete t.status[c];
+  const cur = t.status[key];
+  t.status[key] = {
+    time: Math.max(cur?.time ?? 0, time),
+    stacks: Math.min(def.maxStacks, (cur?.stacks ?? 0) + stacks),
+  };
+  return true;
+}
+
+// spec: [{ key, chance?, duration?, stacks? }] -> ogni voce si applica con probabilità chance (PRNG della run)
+export function rollStatus(s, t, spec) {
+  for (const st of spec ?? []) {
+    if (st.chance == null || random(s) < st.chance) applyStatus(t, st.key, st);
+  }
+}
+
+// avanza le durate e ritorna il danno nel tempo di questo tick
+export function tickStatus(t, dt) {
+  let dmg = 0;
+  each(t, (def, st, key) => {
+    const d = Math.min(dt, st.time);
+    dmg += (def.dps ?? 0) * st.stacks * d;
+    st.time -= dt;
+    if (st.time <= 1e-6) delete t.status[key]; // tolleranza sugli errori di arrotondamento dei dt
+  });
+  return dmg;
+}
+
+// moltiplicatore del tempo del target (velocità, cooldown): il più forte tra gli effetti attivi
+export function statusTimeScale(t) {
+  let k = 1;
+  each(t, (def) => { k = Math.min(k, def.disables ? 0 : def.timeScale ?? 1); });
+  return k;
+}
+
+export function statusDisabled(t) {
+  let off = false;
+  each(t, (def) => { off ||= !!def.disables; });
+  return off;
+}
+
+export function statusDamageTaken(t) {
+  let k = 1;
+  each(t, (def, st) => { if (def.damageTaken) k *= def.damageTaken ** st.stacks; });
+  return k;
+}
+
+// colore dell'effetto più recente (durata residua maggiore), per la tinta; null senza effetti
+export function statusColor(t) {
+  let best = null, time = 0;
+  each(t, (def, st) => { if (st.time > time) { time = st.time; best = def.color; } });
+  return best;
+}
+
+// elenco per l'HUD
+export function statusList(t) {
+  const list = [];
+  each(t, (def, st, key) => list.push({ key, name: def.name, color: def.color, time: st.time, stacks: st.stacks }));
+  return list;
+}
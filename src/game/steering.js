@@ -0,0 +1,50 @@
+import { gridBuild, gridQuery } from "./spatial.js";
+import { enemyMass as mass } from "./enemies.js";
+
+/**
+ * steering — comportamento di gruppo dei nemici, dopo i behaviour individuali
+ *  - collisione morbida: le coppie che si compenetrano si separano di una frazione dell'overlap per tick,
+ *    ripartita per massa (il boss sposta i piccoli e quasi non si muove)
+ *  - separazione: entro AVOID_RANGE × (ra + rb) una spinta leggera tiene distanziata la folla (anelli e corsie)
+ * Gli spostamenti si accumulano e si applicano alla fine: il risultato non dipende dall'ordine delle coppie.
+ */
+
+const STIFFNESS = 0.5;    // frazione dell'overlap risolta per tick
+const AVOID_RANGE = 1.5;
+const AVOID_SPEED = 2.5;  // unità/s a contatto, zero al bordo dell'AVOID_RANGE
+
+const push = [];
+const near = [];
+
+export function separateEnemies(s, grid, dt) {
+  const list = s.enemies;
+  gridBuild(grid, list);
+  for (let i = 0; i < list.length * 2; i++) push[i] = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    const a = list[i];
+    const reach = a.radius * AVOID_RANGE + grid.maxRadius * (AVOID_RANGE - 1); // gridQuery aggiunge già maxRadius
+    for (const j of gridQuery(grid, a.pos.x, a.pos.z, reach, near)) {
+      if (j <= i) continue; // ogni coppia una volta
+      const b = list[j];
+      let dx = a.pos.x - b.pos.x, dz = a.pos.z - b.pos.z;
+      const minD = a.radius + b.radius;
+      let d = Math.hypot(dx, dz);
+      if (d >= minD * AVOID_RANGE) continue;
+      if (d < 1e-6) { const ang = (i * 2.399) % (Math.PI * 2); dx = Math.cos(ang); dz = Math.sin(ang); d = 1; } // spawn sovrapposti
+      const ma = mass(a), mb = mass(b);
+      const wa = mb / (ma + mb), wb = ma / (ma + mb);
+      const amount = d < minD
+        ? (minD - d) * STIFFNESS + AVOID_SPEED * dt
+        : AVOID_SPEED * dt * (1 - (d - minD) / (minD * (AVOID_RANGE - 1)));
+      const ux = dx / d, uz = dz / d;
+      push[i * 2] += ux * amount * wa; push[i * 2 + 1] += uz * amount * wa;
+      push[j * 2] -= ux * amount * wb; push[j * 2 + 1] -= uz * amount * wb;
+    }
+  }
+
+  for (let i = 0; i < list.length; i++) {
+    list[i].pos.x += push[i * 2];
+    list[i].pos.z += push[i * 2 + 1];
+  }
+}
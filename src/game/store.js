@@ -0,0 +1,109 @@
+import { stepWorld } from "./world.js";
+import { createEventBus } from "./events.js";
+import { recordTick } from "./replay.js";
+import { enemyType } from "./enemies.js";
+import { statusList } from "./status.js";
+
+/**
+ * store — world vivo fuori dallo state React
+ *  - store.world: mutato in place da stepWorld a ogni tick, letto dai componenti in useFrame
+ *  - store.alpha: frazione del tick fisso corrente (interpolazione del rendering)
+ *  - store.hud: snapshot dei soli valori di UI (score, wave, HP, boss, overlay...), pubblicato
+ *    al massimo HUD_RATE volte al secondo, subito se cambia lo stato degli overlay
+ *  - store.events: bus degli eventi di gioco (events.js), alimentato da store.step a ogni tick
+ *  - store.recording: registrazione della run in corso (replay.js), store.replay: replay in riproduzione
+ * Compatibile con useSyncExternalStore(store.subscribe, store.getHud).
+ */
+
+const HUD_RATE = 15;
+
+// primo boss vivo, per la barra HP in alto (BossBar)
+function bossOf(w) {
+  const e = w.enemies.find((x) => enemyType(x).boss && x.hp > 0);
+  if (!e) return null;
+  const def = enemyType(e);
+  return {
+    id: e.id, name: def.name ?? def.key, hp: e.hp, maxHp: e.maxHp, phase: e.phase ?? 0, invulnerable: e.invulnerable > 0,
+    color: def.look.phaseColors?.[e.phase ?? 0] ?? def.look.color,
+    thresholds: def.phases?.thresholds ?? [],
+  };
+}
+
+export function hudOf(w, replay = null) {
+  return {
+    playing: w.playing,
+    paused: w.paused,
+    gameOver: w.gameOver,
+    wave: w.wave,
+    level: w.level,
+    score: w.score,
+    hp: w.player.hp,
+    maxHp: w.player.maxHp,
+    speed: w.player.speed,
+    hitFlash: w.hitFlash,
+    status: statusList(w.player),
+    weapon: w.player.weapon,
+    difficulty: w.difficulty,
+    flanking: w.flanking,
+    seed: w.seed,
+    upgradeChoices: w.upgradeChoices,
+    boss: bossOf(w),
+    replay: replay && { tick: replay.tick, ticks: replay.rec.ticks, playing: replay.playing, speed: replay.speed },
+  };
+}
+
+// cambi che aprono/chiudono overlay: niente throttling
+const urgent = (h, w) =>
+  h.playing !== w.playing || h.paused !== w.paused || h.gameOver !== w.gameOver ||
+  h.upgradeChoices !== w.upgradeChoices || h.difficulty !== w.difficulty || h.flanking !== w.flanking || h.seed !== w.seed;
+const urgentReplay = (h, rp) => !h.replay !== !rp || (rp && h.replay.playing !== rp.playing);
+
+export function createGameStore(world) {
+  const listeners = new Set();
+  const store = {
+    world,
+    alpha: 1,
+    hud: hudOf(world),
+    sincePublish: 0,
+    events: createEventBus(),
+    recording: null,
+    replay: null,
+
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    getHud: () => store.hud,
+
+    publish() {
+      store.sincePublish = 0;
+      store.hud = hudOf(store.world, store.replay);
+      for (const fn of listeners) fn();
+    },
+    // un tick di simulazione + inoltro dei suoi eventi ai listener
+    step(input, dt) {
+      const w = store.world;
+      if (store.recording && w.playing && !w.paused && !w.gameOver) recordTick(store.recording, input);
+      store.world = stepWorld(w, input, dt);
+      store.events.dispatch(store.world.events);
+      store.world.events.length = 0;
+    },
+    // da chiamare una volta per frame con il delta reale
+    frame(dt) {
+      store.sincePublish += dt;
+      if (urgent(store.hud, store.world) || urgentReplay(store.hud, store.replay) || store.sincePublish >= 1 / HUD_RATE) store.publish();
+    },
+
+    // azioni UI: fn(world) -> world (anche lo stesso oggetto); pubblica subito
+    update(fn) {
+      store.world = fn(store.world) ?? store.world;
+      store.publish();
+    },
+    replace(next) {
+      store.world = next;
+      store.alpha = 1;
+      store.publish();
+    },
+  };
+  return store;
+}
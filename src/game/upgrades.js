@@ -0,0 +1,57 @@
+import { random } from "./rng.js";
+import { upgradeWeapon } from "./weapons.js";
+
+export const ALL_UPGRADES = [
+  { key: "damage", name: "+Damage", desc: "+25% bullet damage", apply: (s) => ({ ...s, player: { ...s.player, damage: s.player.damage * 1.25 } }) },
+  { key: "firerate", name: "+Firerate", desc: "-15% fire interval", apply: (s) => ({ ...s, player: { ...s.player, firerate: s.player.firerate * 1.15 } }) },
+  { key: "speed", name: "+Move Speed", desc: "+15% move speed", apply: (s) => ({ ...s, player: { ...s.player, speed: s.player.speed * 1.15 } }) },
+  { key: "maxhp", name: "+Max HP", desc: "+20% max HP and heal 20%", apply: (s) => ({ ...s, player: { ...s.player, maxHp: Math.round(s.player.maxHp * 1.2), hp: Math.min(Math.round(s.player.maxHp * 1.2), Math.round(s.player.hp + s.player.maxHp * 0.2)) } }) },
+  { key: "bullet", name: "+Bullet Speed", desc: "+20% bullet speed", apply: (s) => ({ ...s, player: { ...s.player, bulletSpeed: s.player.bulletSpeed * 1.2 } }) },
+  { key: "magnet", name: "Magnet", desc: "+30% pickup radius", apply: (s) => ({ ...s, player: { ...s.player, magnet: s.player.magnet * 1.3 } }) },
+  { key: "pierce", name: "Pierce", desc: "+1 bullet pierce", apply: (s) => ({ ...s, player: { ...s.player, pierce: s.player.pierce + 1 } }) },
+  // effetti di stato sui colpi (status.js): riprendendo lo stesso upgrade la probabilità si somma
+  { key: "incendiary", name: "Incendiary Rounds", desc: "25% chance to burn on hit", apply: (s) => withHitEffects(s, { burn: 0.25 }) },
+  { key: "toxic", name: "Toxic Rounds", desc: "35% chance to add a poison stack", apply: (s) => withHitEffects(s, { poison: 0.35 }) },
+  { key: "cryo", name: "Cryo Rounds", desc: "30% chance to slow, 5% to freeze", apply: (s) => withHitEffects(s, { slow: 0.3, freeze: 0.05 }) },
+  { key: "shock", name: "Shock Rounds", desc: "8% chance to stun", apply: (s) => withHitEffects(s, { stun: 0.08 }) },
+  { key: "expose", name: "Exposing Rounds", desc: "20% chance to make enemies take +30% damage", apply: (s) => withHitEffects(s, { vulnerable: 0.2 }) },
+  // upgrade di una sola arma (weapon: chiave in weapons.js)
+  { key: "shotgun_pellets", weapon: "shotgun", name: "Shotgun: Buckshot", desc: "+2 pellets per blast", apply: (s) => upgradeWeapon(s, "shotgun", (w) => ({ pellets: w.pellets + 2 })) },
+  { key: "laser_focus", weapon: "laser", name: "Laser: Focus", desc: "+30% beam damage, +1 pierce", apply: (s) => upgradeWeapon(s, "laser", (w) => ({ damage: w.damage * 1.3, pierce: w.pierce + 1 })) },
+  { key: "rocket_payload", weapon: "rocket", name: "Rockets: Payload", desc: "+25% blast radius and damage", apply: (s) => upgradeWeapon(s, "rocket", (w) => ({ radius: w.radius * 1.25, splashDamage: w.splashDamage * 1.25 })) },
+  { key: "burst_rounds", weapon: "burst", name: "Burst Rifle: Extended Mag", desc: "+1 round per burst", apply: (s) => upgradeWeapon(s, "burst", (w) => ({ burst: w.burst + 1 })) },
+  { key: "blades_count", weapon: "blades", name: "Blades: Extra Blade", desc: "+1 orbiting blade, +15% blade damage", apply: (s) => upgradeWeapon(s, "blades", (w) => ({ count: w.count + 1, damage: w.damage * 1.15 })) },
+];
+
+function withHitEffects(s, chances) {
+  const hitEffects = (s.player.hitEffects ?? []).map((h) => ({ ...h }));
+  for (const [key, chance] of Object.entries(chances)) {
+    const cur = hitEffects.find((h) => h.key === key);
+    if (cur) cur.chance = Math.min(1, cur.chance + chance); else hitEffects.push({ key, chance });
+  }
+  return { ...s, player: { ...s.player, hitEffects } };
+}
+
+export const upgradeByKey = (key) => ALL_UPGRADES.find((u) => u.key === key);
+
+// aggiunge (o sostituisce, a parità di key) un upgrade al pool del level up
+// def: { key, name, desc, weapon?, apply(s) -> nuovo world } (weapon: l'upgrade riguarda solo quell'arma)
+export function defineUpgrade(def) {
+  const i = ALL_UPGRADES.findIndex((u) => u.key === def.key);
+  if (i >= 0) ALL_UPGRADES[i] = def; else ALL_UPGRADES.push(def);
+  return def;
+}
+
+export function pickThree(s) {
+  const pool = [...ALL_UPGRADES];
+  const res = [];
+  for (let i = 0; i < 3; i++) res.push(pool.splice(Math.floor(random(s) * pool.length), 1)[0]);
+  return res;
+}
+
+// applica l'upgrade scelto al level up e riprende la partita
+export function chooseUpgrade(s, key) {
+  const u = upgradeByKey(key);
+  if (!u || !s.upgradeChoices.includes(key)) return s;
+  return u.apply({ ...s, paused: false, upgradeChoices: [], upgrades: [...(s.upgrades || []), key] });
+}
@@ -0,0 +1,4 @@
+import * as THREE from "three";
+
+export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+export const vec3 = (x = 0, y = 0, z = 0) => new THREE.Vector3(x, y, z);
@@ -0,0 +1,172 @@
+import { vec3 } from "./util.js";
+import { random, rnd } from "./rng.js";
+import { ENEMY_TYPES, enemyType, spawnEnemy, bossTier } from "./enemies.js";
+import { runHooks } from "./plugins.js";
+import { emit } from "./events.js";
+import DEFAULT_WAVES from "./waves.default.json" with { type: "json" };
+
+/**
+ * waves — interprete dello script delle wave (JSON, vedi waves.default.json)
+ *
+ * Script: { name, waves: Wave[], loop?: Wave[] }
+ *  - waves: wave 1..n in ordine; oltre la n-esima si cicla su loop[(wave - 1) % loop.length]
+ * Wave:
+ *  - duration?: secondi, la wave finisce allo scadere
+ *  - clear?: true -> la wave finisce anche quando i burst sono esauriti, il boss è uscito e non resta nessuno
+ *  - intermission?: secondi iniziali senza spawn
+ *  - boss?: { archetype, formation..., clearEnemies?, pauseStreams? } -> spawn a inizio wave (dopo l'intermission),
+ *           rimandato finché è vivo un boss delle wave precedenti; con every: n solo nelle wave multiple di n
+ *           (una sola voce di loop può alternare wave normali e wave boss);
+ *           con roster: [archetype...] al posto di archetype il boss ruota per tier (roster[(tier - 1) % n], vedi bossTier)
+ *  - spawns: gruppi
+ *      { mode: "stream", archetype, rate, ratePerWave?, max?, total?, formation... } -> rate spawn/s (+ ratePerWave per wave dopo
+ *                                                                                la prima), finché i non-boss vivi sono < max e,
+ *                                                                                se indicato, fino a `total` nemici
+ *      { mode: "burst", archetype, at, count, every?, repeat?, formation... }   -> count nemici insieme a `at` secondi,
+ *                                                                                poi ogni `every` per `repeat` volte
+ * Formation: { formation: "ring" | "circle" | "arc" | "line" | "cluster" | "square", radius?, spread?, half? }
+ * Al posto di `archetype` un gruppo può avere `mix: [{ archetype, weight, weightPerWave?, maxWeight? }]`:
+ * archetipo estratto per ogni nemico, con peso weight + weightPerWave * (wave - 1) (al massimo maxWeight).
+ */
+
+export { DEFAULT_WAVES };
+
+const SPAWN_R = 33;
+const MAX_R = 34;
+
+// fired[i]: nemici spawnati (stream) o burst eseguiti (burst) dal gruppo i
+export const createWaveState = () => ({ time: 0, fired: {}, bossSpawned: false });
+
+const isStream = (g) => (g.mode ?? "stream") === "stream";
+const burstTotal = (g) => (g.every ? 1 + (g.repeat ?? Infinity) : 1);
+const groupDone = (g, fired = 0) => (isStream(g) ? g.total != null && fired >= g.total : fired >= burstTotal(g));
+const groupKeys = (g) => (g.mix ? g.mix.map((m) => m.archetype) : [g.archetype]);
+const groupKnown = (g) => groupKeys(g).every((k) => ENEMY_TYPES[k]);
+const bossKeys = (b) => b.roster ?? [b.archetype];
+const waveBoss = (s, def) => (def.boss && (!def.boss.every || s.wave % def.boss.every === 0) ? def.boss : null);
+const bossKey = (s, b) => (b.roster ? b.roster[(bossTier(s) - 1) % b.roster.length] : b.archetype);
+
+const mixWeight = (m, wave) => Math.max(0, Math.min(m.maxWeight ?? Infinity, m.weight + (m.weightPerWave ?? 0) * (wave - 1)));
+
+// archetipo del prossimo nemico di un gruppo
+function pickArchetype(s, g) {
+  if (!g.mix) return g.archetype;
+  const total = g.mix.reduce((sum, m) => sum + mixWeight(m, s.wave), 0);
+  let roll = random(s) * total;
+  for (const m of g.mix) {
+    roll -= mixWeight(m, s.wave);
+    if (roll < 0) return m.archetype;
+  }
+  return g.mix[0].archetype;
+}
+
+export function waveDef(script, wave) {
+  const { waves = [], loop = [] } = script;
+  if (wave <= waves.length) return waves[wave - 1];
+  const cycle = loop.length ? loop : waves.slice(-1);
+  return cycle[(wave - 1) % cycle.length] ?? {};
+}
+
+// parse + controllo minimo di uno script caricato da file
+export function parseWaveScript(text) {
+  const script = typeof text === "string" ? JSON.parse(text) : text;
+  if (!script || !Array.isArray(script.waves) || script.waves.length === 0) throw new Error("Wave script needs a non-empty `waves` array");
+  for (const w of [...script.waves, ...(script.loop ?? [])]) {
+    for (const g of w.spawns ?? []) {
+      for (const k of groupKeys(g)) if (!ENEMY_TYPES[k]) throw new Error(`Unknown archetype "${k}" in wave script`);
+    }
+    for (const k of w.boss ? bossKeys(w.boss) : []) if (!ENEMY_TYPES[k]) throw new Error(`Unknown boss archetype "${k}" in wave script`);
+  }
+  return script;
+}
+
+/* ----------- Formazioni ----------- */
+const onRing = (ang, r) => vec3(Math.cos(ang) * r, 1, Math.sin(ang) * r);
+
+const FORMATIONS = {
+  ring: (s, f, n) => Array.from({ length: n }, () => onRing(rnd(s, 0, Math.PI * 2), f.radius ?? SPAWN_R)),
+  circle(s, f, n) {
+    const base = rnd(s, 0, Math.PI * 2);
+    return Array.from({ length: n }, (_, i) => onRing(base + (i / n) * Math.PI * 2, f.radius ?? SPAWN_R));
+  },
+  arc(s, f, n) {
+    const center = rnd(s, 0, Math.PI * 2);
+    const spread = ((f.spread ?? 60) * Math.PI) / 180;
+    return Array.from({ length: n }, (_, i) => onRing(center + (n > 1 ? i / (n - 1) - 0.5 : 0) * spread, f.radius ?? SPAWN_R));
+  },
+  line(s, f, n) {
+    const ang = rnd(s, 0, Math.PI * 2);
+    const c = onRing(ang, f.radius ?? SPAWN_R);
+    const t = vec3(-Math.sin(ang), 0, Math.cos(ang));
+    const gap = f.spread ?? 1.8;
+    return Array.from({ length: n }, (_, i) => c.clone().addScaledVector(t, (i - (n - 1) / 2) * gap));
+  },
+  cluster(s, f, n) {
+    const c = onRing(rnd(s, 0, Math.PI * 2), f.radius ?? SPAWN_R);
+    const k = f.spread ?? 2.5;
+    return Array.from({ length: n }, () => c.clone().add(vec3(rnd(s, -k, k), 0, rnd(s, -k, k))));
+  },
+  square: (s, f, n) => Array.from({ length: n }, () => vec3(rnd(s, -(f.half ?? 18), f.half ?? 18), 1, rnd(s, -(f.half ?? 18), f.half ?? 18))),
+};
+
+function spawnGroup(s, spec, n) {
+  const place = FORMATIONS[spec.formation] ?? FORMATIONS.ring;
+  for (const pos of place(s, spec, n)) {
+    const xz = Math.hypot(pos.x, pos.z);
+    if (xz > MAX_R) { pos.x *= MAX_R / xz; pos.z *= MAX_R / xz; }
+    spawnEnemy(s, pickArchetype(s, spec), pos);
+  }
+}
+
+/* ----------- Tick ----------- */
+// spawn della wave corrente (boss, stream, burst)
+export function updateSpawns(s, dt) {
+  const def = waveDef(s.waves, s.wave);
+  const ws = s.waveState;
+  if (ws.time === 0) runHooks("onWaveStart", s, s.wave);
+  ws.time += dt;
+  const t = ws.time - (def.intermission || 0);
+  if (t < 0) return;
+
+  // con un boss precedente ancora vivo il nuovo aspetta che muoia (niente clearEnemies su un boss senza ricompensa)
+  const spec = waveBoss(s, def);
+  const boss = spec && bossKey(s, spec);
+  if (boss && !ws.bossSpawned && ENEMY_TYPES[boss] && !s.enemies.some((e) => enemyType(e).boss)) {
+    if (spec.clearEnemies) s.enemies = [];
+    spawnGroup(s, { ...spec, archetype: boss }, 1);
+    ws.bossSpawned = true;
+  }
+  const bossAlive = s.enemies.some((e) => enemyType(e).boss);
+  const streamsPaused = spec?.pauseStreams && bossAlive;
+
+  (def.spawns ?? []).forEach((g, i) => {
+    const fired = ws.fired[i] ?? 0;
+    if (!groupKnown(g) || groupDone(g, fired)) return;
+    if (isStream(g)) {
+      if (streamsPaused) return;
+      const rate = g.rate + (g.ratePerWave ?? 0) * (s.wave - 1);
+      if (random(s) < dt * rate && s.enemies.filter((e) => !enemyType(e).boss).length < (g.max ?? Infinity)) {
+        spawnGroup(s, g, 1);
+        ws.fired[i] = fired + 1;
+      }
+    } else if (t >= (g.at ?? 0) + fired * (g.every ?? 0)) {
+      spawnGroup(s, g, g.count ?? 1);
+      ws.fired[i] = fired + 1;
+    }
+  });
+}
+
+// fine wave (durata scaduta o arena ripulita) -> wave successiva
+export function advanceWave(s) {
+  const def = waveDef(s.waves, s.wave);
+  const ws = s.waveState;
+  const timeUp = def.duration != null && ws.time >= def.duration;
+  const cleared = !!def.clear && ws.time >= (def.intermission || 0) &&
+    (def.spawns ?? []).every((g, i) => groupDone(g, ws.fired[i])) &&
+    (!waveBoss(s, def) || ws.bossSpawned) && s.enemies.length === 0;
+  if (timeUp || cleared) {
+    s.wave += 1;
+    s.waveState = createWaveState();
+    emit(s, "waveChanged", { wave: s.wave, from: s.wave - 1 });
+  }
+}
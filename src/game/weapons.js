@@ -0,0 +1,234 @@
+import { vec3 } from "./util.js";
+import { emit } from "./events.js";
+import { damageEnemy, falloff, shockwave } from "./combat.js";
+import { enemyType, hitImpact } from "./enemies.js";
+import { rollStatus } from "./status.js";
+
+/**
+ * weapons — armi del player (registro) e colpi sui nemici
+ *
+ * Arma:
+ *  - key, name, slot (tasto numerico), color -> HUD, proiettili e raggio nel rendering
+ *  - stats: { damage, firerate, ... }        -> copiate in s.player.weapons[key] a inizio run;
+ *                                               gli upgrade mirati le cambiano lì (upgradeWeapon)
+ *  - fire?(s, ws, aim)                       -> un colpo, a cadenza firerate finché il grilletto è premuto
+ *  - update?(s, ws, input, dt, aim)          -> a ogni tick mentre l'arma è impugnata (raffica, raggio del laser, lame)
+ * Le stats del player (damage, firerate, bulletSpeed, pierce) valgono per tutte le armi, come moltiplicatori
+ * rispetto ai valori iniziali. input.weapon (chiave) cambia l'arma impugnata; fa parte dell'input registrato nei replay.
+ */
+
+// stats di tiro iniziali del player: createPlayer parte da qui, le armi scalano sul rapporto con questi valori
+export const PLAYER_SHOT_BASE = Object.freeze({ damage: 10, firerate: 7, bulletSpeed: 35 });
+const UP = vec3(0, 1, 0);
+
+const dmgMul = (s) => s.player.damage / PLAYER_SHOT_BASE.damage;
+const rateMul = (s) => s.player.firerate / PLAYER_SHOT_BASE.firerate;
+const speedMul = (s) => s.player.bulletSpeed / PLAYER_SHOT_BASE.bulletSpeed;
+
+export const WEAPONS = {};
+
+export function defineWeapon(def) {
+  WEAPONS[def.key] = def;
+  return def;
+}
+
+/* ----------- Colpi ----------- */
+// danno di un colpo del player a un nemico (affissi, vulnerabilità, effetti di stato, impatto);
+// false se il nemico è invulnerabile (il colpo si spegne senza danno)
+export function hitEnemy(s, e, amount, dir, { impact = 1, effects = s.player.hitEffects } = {}) {
+  const dmg = damageEnemy(s, e, amount);
+  if (dmg === false) return false;
+  rollStatus(s, e, effects);
+  if (impact > 0) hitImpact(e, dir, { force: s.player.knockback * impact, stun: s.player.hitStun * impact });
+  emit(s, "enemyHit", { id: e.id, archetype: e.type, boss: enemyType(e).boss, damage: dmg });
+  return true;
+}
+
+// razzo: esplosione ad area (non ferisce il player) quando colpisce, cade a terra o finisce la gittata;
+// ogni nemico nel raggio subisce un colpo attenuato (hitEnemy), spinto via dal centro
+export function explode(s, b) {
+  const { radius, damage } = b.splash;
+  for (const e of s.enemies) {
+    if (e.hp <= 0) continue;
+    const d = Math.hypot(e.pos.x - b.pos.x, e.pos.z - b.pos.z);
+    if (d >= radius + e.radius) continue;
+    const k = falloff(d, radius, e.radius);
+    hitEnemy(s, e, damage * k, vec3(e.pos.x - b.pos.x, 0, e.pos.z - b.pos.z), { impact: 2 * k });
+  }
+  shockwave(s, b.pos, radius);
+  b.life = -1;
+}
+
+function muzzle(s, aim) {
+  return s.player.pos.clone().addScaledVector(aim, 1.0).add(vec3(0, 0.1, 0));
+}
+
+function shoot(s, ws, dir, extra) {
+  s.bullets.push({
+    id: s.nextId++,
+    pos: muzzle(s, dir),
+    vel: dir.clone().multiplyScalar(ws.speed * speedMul(s)),
+    life: ws.life,
+    pierceLeft: (ws.pierce ?? 0) + s.player.pierce,
+    damage: ws.damage * dmgMul(s),
+    weapon: s.player.weapon,
+    ...extra,
+  });
+  s.stats.shotsFired++;
+}
+
+// distanza lungo il raggio (dir normalizzata) del primo punto della sfera, o null se la manca
+function raySphere(from, dir, c, r) {
+  const ox = c.x - from.x, oy = c.y - from.y, oz = c.z - from.z;
+  const t = ox * dir.x + oy * dir.y + oz * dir.z;
+  const d2 = ox * ox + oy * oy + oz * oz - t * t;
+  if (d2 > r * r) return null;
+  const t0 = t - Math.sqrt(r * r - d2);
+  return t0 >= 0 ? t0 : t >= 0 ? 0 : null;
+}
+
+// posizioni delle lame orbitanti (dal tempo di gioco: simulazione e rendering le vedono uguali)
+export function bladePositions(s, ws, center = s.player.pos) {
+  return Array.from({ length: ws.count }, (_, i) => {
+    const a = s.time * ws.spin + (i / ws.count) * Math.PI * 2;
+    return vec3(center.x + Math.cos(a) * ws.radius, center.y, center.z + Math.sin(a) * ws.radius);
+  });
+}
+
+/* ----------- Armi ----------- */
+defineWeapon({
+  key: "blaster", name: "Blaster", slot: 1, color: "#00ffe6",
+  stats: { damage: 10, firerate: 7, speed: 35, life: 1.8, pierce: 0 },
+  fire: (s, ws, aim) => shoot(s, ws, aim),
+});
+
+// pallini distribuiti a ventaglio in orizzontale, a corto raggio
+defineWeapon({
+  key: "shotgun", name: "Shotgun", slot: 2, color: "#fbbf24",
+  stats: { damage: 6, firerate: 1.6, speed: 32, life: 0.55, pierce: 0, pellets: 7, spread: 0.4 },
+  fire(s, ws, aim) {
+    for (let i = 0; i < ws.pellets; i++) {
+      const k = ws.pellets > 1 ? i / (ws.pellets - 1) - 0.5 : 0;
+      shoot(s, ws, aim.clone().applyAxisAngle(UP, k * ws.spread));
+    }
+  },
+});
+
+// bersagli del raggio: i primi 1 + pierce nemici lungo la mira entro range; si ferma sul primo invulnerabile
+function beamTargets(s, ws, aim) {
+  const from = muzzle(s, aim);
+  const hits = [];
+  for (const e of s.enemies) {
+    if (e.hp <= 0) continue;
+    const t = raySphere(from, aim, e.pos, e.radius);
+    if (t !== null && t <= ws.range) hits.push([t, e]);
+  }
+  hits.sort((a, b) => a[0] - b[0] || a[1].id - b[1].id);
+  const max = 1 + (ws.pierce ?? 0) + s.player.pierce;
+  const targets = [];
+  let end = ws.range;
+  for (const [t, e] of hits) {
+    if (e.invulnerable > 0) { end = t; break; }
+    targets.push(e);
+    if (targets.length === max) { end = t; break; }
+  }
+  return { from, to: from.clone().addScaledVector(aim, end), targets };
+}
+
+// raggio continuo nel rendering, danno a impulsi (firerate al secondo): ogni impulso conta come un colpo
+// per statistiche, effetti di stato, impatto ed eventi, come un proiettile
+defineWeapon({
+  key: "laser", name: "Laser", slot: 3, color: "#f472b6",
+  stats: { damage: 4, firerate: 12, range: 28, pierce: 0 },
+  fire(s, ws, aim) {
+    const { targets } = beamTargets(s, ws, aim);
+    s.stats.shotsFired++;
+    if (targets.length) s.stats.shotsHit++;
+    for (const e of targets) hitEnemy(s, e, ws.damage * dmgMul(s), aim, { impact: 0.3 });
+  },
+  update(s, ws, input, dt, aim) {
+    s.player.beam = null;
+    if (!input.fire) return;
+    const { from, to } = beamTargets(s, ws, aim);
+    s.player.beam = { from, to };
+  },
+});
+
+// razzo lento che esplode ad area al primo nemico colpito (vedi explode)
+defineWeapon({
+  key: "rocket", name: "Rockets", slot: 4, color: "#fb7185",
+  stats: { damage: 20, firerate: 1.1, speed: 22, life: 2.5, splashDamage: 36, radius: 3.5 },
+  fire: (s, ws, aim) => shoot(s, ws, aim, { splash: { radius: ws.radius, damage: ws.splashDamage * dmgMul(s) } }),
+});
+
+// raffica di burst colpi a gap s di distanza, una raffica a cadenza firerate (che scorre anche a grilletto rilasciato)
+defineWeapon({
+  key: "burst", name: "Burst Rifle", slot: 5, color: "#a3e635",
+  stats: { damage: 9, firerate: 2.2, speed: 48, life: 1.4, pierce: 0, burst: 3, gap: 0.07 },
+  fire(s, ws, aim) {
+    shoot(s, ws, aim);
+    s.player.burstLeft = ws.burst - 1;
+    s.player.burstTimer = ws.gap;
+  },
+  update(s, ws, input, dt, aim) {
+    if (!(s.player.burstLeft > 0)) return;
+    s.player.burstTimer -= dt;
+    if (s.player.burstTimer > 0) return;
+    shoot(s, ws, aim);
+    s.player.burstLeft--;
+    s.player.burstTimer = ws.gap;
+  },
+});
+
+// lame che ruotano attorno al player: colpiscono chi toccano, al massimo una volta ogni hitCooldown s per nemico
+defineWeapon({
+  key: "blades", name: "Blades", slot: 6, color: "#c4b5fd",
+  stats: { damage: 14, count: 3, radius: 2.6, spin: 3.2, size: 0.5, hitCooldown: 0.35 },
+  update(s, ws) {
+    for (const pos of bladePositions(s, ws)) {
+      for (const e of s.enemies) {
+        if (e.hp <= 0 || (e.bladeReady ?? 0) > s.time) continue;
+        if (Math.hypot(e.pos.x - pos.x, e.pos.z - pos.z) > e.radius + ws.size) continue;
+        const out = vec3(e.pos.x - s.player.pos.x, 0, e.pos.z - s.player.pos.z);
+        if (hitEnemy(s, e, ws.damage * dmgMul(s), out, { impact: 2 })) e.bladeReady = s.time + ws.hitCooldown;
+      }
+    }
+  },
+});
+
+/* ----------- Arsenale del player ----------- */
+export const weaponList = () => Object.values(WEAPONS).sort((a, b) => a.slot - b.slot);
+
+// stats iniziali di tutte le armi registrate
+export const createArsenal = () => Object.fromEntries(Object.values(WEAPONS).map((w) => [w.key, { ...w.stats }]));
+
+// arma successiva/precedente nell'ordine degli slot (rotella del mouse)
+export function cycleWeapon(key, step) {
+  const list = weaponList();
+  const i = Math.max(0, list.findIndex((w) => w.key === key));
+  return list[(i + step + list.length * Math.abs(step)) % list.length].key;
+}
+
+// upgrade mirato: fn(stats) -> campi da cambiare; ritorna il nuovo world (come apply degli upgrade)
+export function upgradeWeapon(s, key, fn) {
+  const ws = s.player.weapons[key] ?? { ...WEAPONS[key].stats };
+  return { ...s, player: { ...s.player, weapons: { ...s.player.weapons, [key]: { ...ws, ...fn(ws) } } } };
+}
+
+// a ogni tick: cambio arma richiesto dall'input, poi sparo / aggiornamento dell'arma impugnata
+export function updateWeapon(s, input, dt, aim, disabled) {
+  const p = s.player;
+  if (input.weapon && WEAPONS[input.weapon] && input.weapon !== p.weapon) {
+    p.weapon = input.weapon;
+    p.burstLeft = 0;
+    p.beam = null;
+  }
+  const def = WEAPONS[p.weapon] ?? WEAPONS.blaster;
+  const ws = (p.weapons[def.key] ??= { ...def.stats });
+  if (disabled) { p.beam = null; return; }
+  if (def.fire && input.fire && s.time - s.lastShot >= 1 / (ws.firerate * rateMul(s))) {
+    def.fire(s, ws, aim);
+    s.lastShot = s.time;
+  }
+  def.update?.(s, ws, input, dt, aim);
+}
@@ -0,0 +1,291 @@
+import * as THREE from "three";
+import { clamp, vec3 } from "./util.js";
+import { randomSeed } from "./rng.js";
+import { pickThree } from "./upgrades.js";
+import { createGrid, gridBuild, gridQuery } from "./spatial.js";
+import { createStats, bump } from "./stats.js";
+import { enemyType, updateEnemy, enemyDeath, rollDrop } from "./enemies.js";
+import { DEFAULT_WAVES, createWaveState, updateSpawns, advanceWave } from "./waves.js";
+import { collectPickup } from "./pickups.js";
+import { runHooks } from "./plugins.js";
+import { emit } from "./events.js";
+import { tickEffects } from "./combat.js";
+import { separateEnemies } from "./steering.js";
+import { isElite, eliteReward, affixesDealt } from "./affixes.js";
+import { rollStatus, tickStatus, statusTimeScale, statusDisabled, statusDamageTaken } from "./status.js";
+import { PLAYER_SHOT_BASE, createArsenal, updateWeapon, hitEnemy, explode } from "./weapons.js";
+
+/**
+ * world — regole di gioco pure, senza React né WebGL (importabile anche da Node)
+ *  - createWorld(opts): stato iniziale di una run
+ *  - stepWorld(state, input, dt): avanza la simulazione di dt secondi modificando state in place e lo ritorna
+ *    (il client la chiama a passo fisso TICK, vedi clock.js; ogni entità conserva prevPos per l'interpolazione)
+ *
+ * Input (snapshot di un tick):
+ *  - move: { x, z }        -> direzione WASD locale (x destra, z indietro)
+ *  - yaw, pitch: number    -> orientamento della visuale (radianti)
+ *  - fire, dash, jump      -> boolean
+ *  - weapon?: string       -> chiave dell'arma da impugnare (cambio arma, vedi weapons.js)
+ * Gli eventi del tick (kill, danni, pickup, level up, wave...) finiscono in s.events, vedi events.js.
+ * Effetti di stato (status.js) su player e nemici: danno nel tempo, rallentamento, stordimento, vulnerabilità.
+ */
+
+export const ARENA_RADIUS = 35;
+
+export const EMPTY_INPUT = Object.freeze({ move: { x: 0, z: 0 }, yaw: 0, pitch: 0, fire: false, dash: false, jump: false });
+
+export function createPlayer() {
+  return {
+    pos: vec3(0, 1, 0), yaw: 0, velY: 0, speed: 10, dashCooldown: 0, dodge: 0, maxHp: 100, hp: 100, magnet: 1, ...PLAYER_SHOT_BASE, pierce: 0,
+    knockback: 1.5, hitStun: 0.04, // impatto dei colpi sui nemici di massa ≤ 1 (vedi hitImpact)
+    moveDir: vec3(), moveSpeed: 0,
+    weapon: "blaster", weapons: createArsenal(), // arma impugnata e stats per arma (weapons.js)
+    burstLeft: 0, burstTimer: 0, beam: null,      // raffica in corso, raggio del laser ({ from, to }) per il rendering
+    status: {},     // effetti attivi (status.js)
+    hitEffects: [], // effetti applicati dai colpi: [{ key, chance }] (upgrade)
+  };
+}
+
+export function createWorld({ difficulty = 2, seed = randomSeed(), waves = DEFAULT_WAVES, flanking = true } = {}) {
+  return {
+    seed,
+    rng: seed,
+    playing: true,
+    paused: false,
+    gameOver: false,
+    wave: 1,
+    time: 0,
+    score: 0,
+    level: 1,
+    xp: 0,
+    player: createPlayer(),
+    enemies: [],
+    bullets: [],
+    eBullets: [],
+    pickups: [],
+    effects: [], // solo visivi (onde d'urto...), vedi combat.js
+    nextId: 1,
+    lastShot: 0,
+    difficulty,
+    flanking,                     // alcuni nemici aggirano il player (vedi flankChance in enemies.js)
+    waves,                        // script delle wave (vedi waves.js)
+    waveState: createWaveState(),
+    hitFlash: 0,
+    upgradeChoices: [],
+    upgrades: [], // chiavi degli upgrade scelti, in ordine
+    stats: createStats(),
+    events: [], // eventi dell'ultimo tick (non salvati)
+  };
+}
+
+// broadphase condivisa tra i tick (stepWorld non è rientrante)
+const enemyGrid = createGrid(ARENA_RADIUS + 1);
+const pickupGrid = createGrid(ARENA_RADIUS + 1);
+const near = [];
+
+// direzione di mira dalla visuale (yaw + pitch)
+export function aimDirection(yaw, pitch) {
+  const camQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, 0, "YXZ"));
+  return new THREE.Vector3(0, 0, -1).applyQuaternion(camQuat).normalize();
+}
+
+export function stepWorld(s, input = EMPTY_INPUT, dt) {
+  if (!s.playing || s.paused || s.gameOver) return s;
+  s.events.length = 0;
+  s.time += dt;
+  s.hitFlash = Math.max(0, s.hitFlash - 2 * dt);
+  s.player.dashCooldown = Math.max(0, s.player.dashCooldown - dt);
+  s.player.dodge = Math.max(0, s.player.dodge - dt);
+  // effetti di stato del player: danno nel tempo, poi rallentamento / stordimento per questo tick
+  const dot = tickStatus(s.player, dt);
+  const disabled = statusDisabled(s.player);
+
+  // posizioni del tick precedente, per l'interpolazione del rendering
+  (s.player.prevPos ??= vec3()).copy(s.player.pos);
+  for (const list of [s.enemies, s.bullets, s.eBullets, s.pickups]) {
+    for (const o of list) (o.prevPos ??= vec3()).copy(o.pos);
+  }
+
+  // Movimento
+  const move = vec3(input.move?.x || 0, 0, input.move?.z || 0);
+  if (move.lengthSq() > 0) move.normalize();
+  const yawOnly = new THREE.Euler(0, input.yaw || 0, 0, "YXZ");
+  const worldDir = vec3().copy(move).applyEuler(yawOnly);
+  worldDir.y = 0; worldDir.normalize();
+
+  const willDash = !!input.dash && s.player.dashCooldown === 0 && !disabled;
+  const speed = s.player.speed * (willDash ? 1.8 : 1) * statusTimeScale(s.player);
+
+  // velocità, direzione e orientamento della camera (animazione dell'avatar, nemici che aggirano)
+  s.player.yaw = input.yaw || 0;
+  s.player.moveDir.copy(worldDir);
+  s.player.moveSpeed = move.lengthSq() > 0 ? speed : 0;
+
+  // il dash apre una breve finestra in cui le cariche nemiche passano a vuoto (vedi BEHAVIORS.charge)
+  if (willDash) { s.player.dashCooldown = 1.0; s.player.dodge = 0.3; s.stats.dashes++; }
+
+  const nextPos = s.player.pos.clone().addScaledVector(worldDir, speed * dt);
+  if (nextPos.length() > ARENA_RADIUS - 1) nextPos.setLength(ARENA_RADIUS - 1);
+  s.player.pos.x = nextPos.x;
+  s.player.pos.z = nextPos.z;
+
+  // Salto + gravità
+  const groundY = 1;
+  const g = 18;
+  const jumpSpeed = 7;
+  const onGround = s.player.pos.y <= groundY + 1e-3 && s.player.velY === 0;
+  if (input.jump && onGround && !disabled) s.player.velY = jumpSpeed;
+  s.player.velY -= g * dt;
+  s.player.pos.y += s.player.velY * dt;
+  if (s.player.pos.y < groundY) { s.player.pos.y = groundY; s.player.velY = 0; }
+
+  // Armi (player): cambio arma, sparo a cadenza sul tempo di simulazione, laser e lame
+  updateWeapon(s, input, dt, aimDirection(input.yaw || 0, input.pitch || 0), disabled);
+
+  // Bullets step (i razzi esplodono anche a terra e a fine gittata)
+  for (const b of s.bullets) {
+    b.pos.addScaledVector(b.vel, dt); b.life -= dt;
+    if (b.splash && (b.life <= 0 || b.pos.y < 0.2)) explode(s, b);
+  }
+  s.bullets = s.bullets.filter((b) => b.life > 0 && b.pos.length() < 60);
+
+  // Spawn dallo script della wave corrente (boss, stream, burst)
+  updateSpawns(s, dt);
+
+  // Enemies: behaviour dell'archetipo (inseguimento, salti, colpi, cariche...)
+  let hpLoss = 0;
+  for (const e of s.enemies) {
+    if (e.hp <= 0) continue; // ucciso in questo tick (esplosioni dei behaviour): niente behaviour né affissi
+    // invulnerabile (transizione di fase dei boss): effetti sospesi, niente danno nel tempo
+    const hurt = e.invulnerable > 0 ? 0 : tickStatus(e, dt);
+    if (hurt > 0 && e.hp > 0) { s.stats.damageDealt += Math.min(hurt, e.hp); e.hp -= hurt; }
+    const dmg = updateEnemy(e, s, dt);
+    if (dmg > 0) { hpLoss += dmg; affixesDealt(e, s, dmg); runHooks("onPlayerHit", s, dmg, e); }
+  }
+  // folla: separazione e collisione morbida tra nemici
+  separateEnemies(s, enemyGrid, dt);
+
+  // Collisioni player bullets
+  let scoreAdd = 0, xpAdd = 0;
+  gridBuild(enemyGrid, s.enemies);
+  for (const b of s.bullets) {
+    for (const i of gridQuery(enemyGrid, b.pos.x, b.pos.z, 0.2, near)) {
+      const e = s.enemies[i];
+      if (e.hp <= 0) continue;
+      if (b.pos.distanceTo(e.pos) < e.radius + 0.2) {
+        if (!hitEnemy(s, e, b.damage, b.vel)) { b.life = -1; break; } // scudo della transizione di fase: il colpo si spegne
+        if (!b.hasHit) { b.hasHit = true; s.stats.shotsHit++; }
+        if (b.splash) { explode(s, b); break; }
+        if (b.pierceLeft <= 0) b.life = -1; else b.pierceLeft -= 1;
+      }
+    }
+  }
+  s.bullets = s.bullets.filter((b) => b.life > 0);
+
+  // Enemy bullets + hit
+  for (const b of s.eBullets) { b.pos.addScaledVector(b.vel, dt); b.life -= dt; }
+  s.eBullets = s.eBullets.filter((b) => b.life > 0 && b.pos.length() < 70);
+  for (const b of s.eBullets) {
+    if (b.pos.distanceTo(s.player.pos) < 0.7) {
+      hpLoss += b.damage; b.life = -1;
+      rollStatus(s, s.player, b.status);
+      runHooks("onPlayerHit", s, b.damage, b);
+    }
+  }
+  s.eBullets = s.eBullets.filter((b) => b.life > 0);
+
+  // Effetti visivi (onde d'urto...)
+  tickEffects(s, dt);
+
+  // Morti -> punti, XP, effetti di morte, drop (qualunque sia la causa: proiettili, muro dell'arena, esplosioni...)
+  // i nemici spawnati qui (split) finiscono in coda all'array, oltre l'indice corrente: non vengono rivisitati;
+  // chi muore per un effetto di morte (esplosione dei bomber) dopo essere già stato superato lo raccoglie il passaggio successivo
+  const deathEffects = (e) => {
+    const dmg = enemyDeath(e, s);
+    if (dmg > 0) { hpLoss += dmg; runHooks("onPlayerHit", s, dmg, e); }
+  };
+  while (s.enemies.some((e) => e.hp <= 0)) for (let i = s.enemies.length - 1; i >= 0; i--) {
+    const e = s.enemies[i];
+    if (e.hp > 0) continue;
+    const def = enemyType(e);
+    s.enemies.splice(i, 1);
+    if (e.selfDestruct) { deathEffects(e); continue; }
+    const elite = isElite(e);
+    let score = e.score ?? def.score, xp = e.xp ?? def.xp;
+    if (elite) { score = eliteReward(score); xp = eliteReward(xp); s.stats.eliteKills++; }
+    scoreAdd += score; xpAdd += xp;
+    bump(s.stats.kills, def.key);
+    if (def.boss) s.stats.bossKills++;
+    runHooks("onEnemyKilled", s, e, def);
+    emit(s, "enemyKilled", { id: e.id, archetype: def.key, boss: def.boss, elite, pos: e.pos.clone(), score, xp });
+    deathEffects(e);
+    const type = rollDrop(s, def, elite);
+    if (type) s.pickups.push({ id: s.nextId++, pos: e.pos.clone(), ttl: def.drops.ttl, type });
+  }
+
+  // Danni da contatto
+  gridBuild(enemyGrid, s.enemies);
+  for (const i of gridQuery(enemyGrid, s.player.pos.x, s.player.pos.z, 0.8, near)) {
+    const e = s.enemies[i];
+    if (e.hp <= 0) continue;
+    const dmg = enemyType(e).contactDamage * s.difficulty * dt;
+    if (e.pos.distanceTo(s.player.pos) < e.radius + 0.8) {
+      hpLoss += dmg;
+      affixesDealt(e, s, dmg);
+      runHooks("onPlayerHit", s, dmg, e);
+    }
+  }
+  // vulnerabilità sui colpi del tick; il danno nel tempo non fa lampeggiare lo schermo
+  if (hpLoss > 0) s.hitFlash = 1;
+  hpLoss = hpLoss * statusDamageTaken(s.player) + dot;
+  if (hpLoss > 0) s.stats.damageTaken += Math.min(hpLoss, s.player.hp);
+  s.player.hp = clamp(s.player.hp - hpLoss, 0, s.player.maxHp);
+  if (hpLoss > 0) emit(s, "playerDamaged", { amount: hpLoss, hp: s.player.hp });
+  const over = s.player.hp <= 0;
+
+  // Pickups
+  for (let i = s.pickups.length - 1; i >= 0; i--) {
+    s.pickups[i].ttl -= dt;
+    if (s.pickups[i].ttl <= 0) s.pickups.splice(i, 1);
+  }
+  // solo i pickup entro il raggio del magnete possono muoversi o essere raccolti
+  const magnetR = 2.5 * s.player.magnet;
+  const inReach = gridQuery(gridBuild(pickupGrid, s.pickups), s.player.pos.x, s.player.pos.z, magnetR, near);
+  for (let k = inReach.length - 1; k >= 0; k--) {
+    const i = inReach[k];
+    const p = s.pickups[i];
+    const d0 = p.pos.distanceTo(s.player.pos);
+    if (d0 < magnetR) {
+      const dirP = s.player.pos.clone().sub(p.pos); dirP.y = 0; dirP.normalize();
+      p.pos.addScaledVector(dirP, (10 + 6 * s.player.magnet) * dt);
+    }
+    const d1 = p.pos.distanceTo(s.player.pos);
+    if (d1 < 1.0) {
+      bump(s.stats.pickups, p.type);
+      s.pickups.splice(i, 1);
+      collectPickup(s, p);
+      emit(s, "pickupCollected", { pickup: p.type, pos: p.pos.clone() });
+    }
+  }
+
+  // Level & wave
+  let lvlUp = false;
+  let newXp = s.xp + xpAdd;
+  const need = 10 + (s.level - 1) * 6;
+  if (newXp >= need) { newXp -= need; lvlUp = true; }
+  advanceWave(s);
+
+  // level up: scelte estratte dal PRNG della run, la partita resta in pausa finché non si sceglie
+  if (lvlUp) {
+    s.upgradeChoices = pickThree(s).map((u) => u.key);
+    s.paused = true;
+    emit(s, "levelUp", { level: s.level + 1, choices: s.upgradeChoices });
+  }
+
+  s.score += scoreAdd;
+  s.xp = newXp;
+  s.level += lvlUp ? 1 : 0;
+  s.gameOver = over;
+  if (over) emit(s, "gameOver", { score: s.score, wave: s.wave, level: s.level });
+  return s;
+}
@@ -1,6 +1,16 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { loadMods } from './game/plugins.js'
+
+// mod da caricare prima della prima partita: ?mod=<nome in src/mods>. Solo mod incluse nel bundle: un URL esterno
+// eseguirebbe codice arbitrario sull'origine del gioco (high score, salvataggi e impostazioni in localStorage)
+const BUNDLED_MODS = import.meta.glob('./mods/*.js')
+const mods = new URLSearchParams(location.search).getAll('mod').flatMap((m) => {
+  const load = BUNDLED_MODS[`./mods/${m}.js`]
+  if (!load) console.warn('[mod] unknown mod, skipped:', m)
+  return load ? [load] : []
+})
 
 const root = document.getElementById('root')
-createRoot(root).render(<App />)
\ No newline at end of file
+loadMods(mods).finally(() => createRoot(root).render(<App />))
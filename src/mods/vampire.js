@@ -0,0 +1,45 @@
+/**
+ * vampire — mod di esempio (si attiva con ?mod=vampire nell'URL)
+ *  - nemico "wisp": piccolo e veloce, ne arriva uno sciame all'inizio di ogni wave
+ *  - pickup "vial": fiala viola lasciata dai wisp, cura 5 HP
+ *  - upgrade "Vampirism": +2 HP per ogni uccisione
+ * Usa solo l'api ricevuta, senza importare moduli del gioco: è il modello per nuove mod in src/mods.
+ */
+
+export default function vampire(api) {
+  api.registerPickup({
+    key: "vial",
+    color: "#b066ff",
+    collect: (s) => { s.player.hp = Math.min(s.player.maxHp, s.player.hp + 5); },
+  });
+
+  api.registerEnemy({
+    key: "wisp",
+    stats: (s) => ({ hp: 6 + 3 * s.wave, speed: 5.5 + 0.2 * s.wave, radius: 0.5 }),
+    contactDamage: 6,
+    score: 10,
+    xp: 1,
+    drops: { chance: 0.5, ttl: 8, table: [{ type: "vial", upTo: 0.25 }, { type: "xp" }] },
+    look: { shape: "tetrahedron", detail: 0, color: "#b066ff", emissiveIntensity: 1.1, barColor: "#d9a6ff", barOffset: 0.2 },
+  });
+
+  api.registerUpgrade({
+    key: "vampirism",
+    name: "Vampirism",
+    desc: "+2 HP per kill",
+    apply: (s) => ({ ...s, player: { ...s.player, lifesteal: (s.player.lifesteal || 0) + 2 } }),
+  });
+
+  api.onEnemyKilled((s) => {
+    if (s.player.lifesteal) s.player.hp = Math.min(s.player.maxHp, s.player.hp + s.player.lifesteal);
+  });
+
+  api.onWaveStart((s, wave) => {
+    const n = 2 + wave;
+    const base = api.rnd(s, 0, Math.PI * 2);
+    for (let i = 0; i < n; i++) {
+      const a = base + (i / n) * Math.PI * 2;
+      api.spawnEnemy(s, "wisp", api.vec3(Math.cos(a) * 30, 1, Math.sin(a) * 30));
+    }
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * highscores — classifica locale (localStorage), una tabella per difficoltà
+ * Entry: { id, name, score, wave, level, time, date, seed }
+ */
+
+import { DIFFICULTY_NAMES } from "../game/constants.js";
+
+export { DIFFICULTY_NAMES };
+
+const KEY = "neon-runner-3d:highscores";
+const NAME_KEY = "neon-runner-3d:player-name";
+export const MAX_ENTRIES = 10;
+
+const empty = () => ({ 1: [], 2: [], 3: [] });
+
+export function loadHighScores() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(KEY) || "null");
+    return raw && typeof raw === "object" ? { ...empty(), ...raw } : empty();
+  } catch {
+    return empty();
+  }
+}
+
+function saveHighScores(table) {
+  try { localStorage.setItem(KEY, JSON.stringify(table)); } catch {}
+}
+
+const byRank = (a, b) => b.score - a.score || b.wave - a.wave || a.time - b.time;
+
+// true se il punteggio entra nella top MAX_ENTRIES della difficoltà
+export function qualifies(table, difficulty, score) {
+  const list = table[difficulty] || [];
+  return score > 0 && (list.length < MAX_ENTRIES || score > list[list.length - 1].score);
+}
+
+// inserisce la run e ritorna { table, id } (id da evidenziare)
+export function addHighScore(difficulty, run) {
+  const table = loadHighScores();
+  const id = `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+  const entry = {
+    id,
+    name: String(run.name || "Runner").slice(0, 16),
+    score: run.score,
+    wave: run.wave,
+    level: run.level,
+    time: Math.round(run.time),
+    date: new Date().toISOString(),
+    seed: run.seed,
+  };
+  table[difficulty] = [...(table[difficulty] || []), entry].sort(byRank).slice(0, MAX_ENTRIES);
+  saveHighScores(table);
+  try { localStorage.setItem(NAME_KEY, entry.name); } catch {}
+  return { table, id };
+}
+
+export function lastPlayerName() {
+  try { return localStorage.getItem(NAME_KEY) || ""; } catch { return ""; }
+}
+
+export const formatTime = (sec) => {
+  const s = Math.max(0, Math.round(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,39 @@
+import { serializeWorld, deserializeWorld } from "../game/serialize.js";
+
+/**
+ * savegame — un solo slot in localStorage per la run in corso ("Save & Quit" / "Continue")
+ *  - insieme al world si salva la registrazione della run (replay.js), se ci sta nella quota di localStorage
+ */
+
+const KEY = "neon-runner-3d:save";
+
+export function saveRun(world, replay = null) {
+  const data = { ...serializeWorld(world), savedAt: new Date().toISOString() };
+  for (const extra of replay ? [{ replay }, {}] : [{}]) {
+    try {
+      localStorage.setItem(KEY, JSON.stringify({ ...data, ...extra }));
+      return true;
+    } catch {}
+  }
+  return false;
+}
+
+// { world, replay } ripristinati (replay null se non salvato), o null se non c'è un salvataggio valido
+export function loadRun() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    return { world: deserializeWorld(data), replay: data.replay ?? null };
+  } catch {
+    return null;
+  }
+}
+
+export function hasSavedRun() {
+  try { return !!localStorage.getItem(KEY); } catch { return false; }
+}
+
+export function clearRun() {
+  try { localStorage.removeItem(KEY); } catch {}
+}
@@ -0,0 +1,21 @@
+/**
+ * settings — preferenze del client (localStorage), non fanno parte della run né dei replay
+ *  - hitStop: breve fermo immagine sui colpi e sull'uccisione dei boss
+ */
+
+const KEY = "neon-runner-3d:settings";
+
+export const DEFAULT_SETTINGS = Object.freeze({ hitStop: true });
+
+export function loadSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(KEY) || "null");
+    return raw && typeof raw === "object" ? { ...DEFAULT_SETTINGS, ...raw } : { ...DEFAULT_SETTINGS };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  try { localStorage.setItem(KEY, JSON.stringify(settings)); } catch {}
+}